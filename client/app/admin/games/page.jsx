@@ -6,14 +6,42 @@ import {
 } from 'recharts';
 
 /**
- * Simple helper to format USD
+ * Money helpers. Match amounts (pot, winnerPayout, platformCut) are
+ * { amount, currency } in integer minor units: cents for USD, whole
+ * shillings for UGX.
  */
-const fmt = (v) => (typeof v === 'number' ? `$${v.toFixed(2)}` : '$0.00');
+const isMoney = (m) => Boolean(m && typeof m.amount === 'number' && m.currency);
+const minorDigits = (currency) => {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+};
+const toMajor = (m) => (isMoney(m) ? m.amount / 10 ** minorDigits(m.currency) : 0);
+const fmt = (m) => {
+  if (!isMoney(m)) return '—';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: m.currency }).format(toMajor(m));
+  } catch {
+    return `${toMajor(m)} ${m.currency}`;
+  }
+};
+// totals per currency, e.g. "$12.50 · UGX 5,000"
+const sumByCurrency = (list) => {
+  const totals = {};
+  for (const m of list) if (isMoney(m)) totals[m.currency] = (totals[m.currency] || 0) + m.amount;
+  return Object.entries(totals).map(([currency, amount]) => ({ amount, currency }));
+};
+const fmtTotals = (list) => {
+  const totals = sumByCurrency(list);
+  return totals.length ? totals.map(fmt).join(' · ') : '—';
+};
 
 /**
  * StatsChart - small wrapper around Recharts LineChart
  * - uses a fixed numeric height to avoid Recharts "width/height must be > 0" warnings
- * - expects data: [{ ts: '05/11/2025, 20:40:38', payouts: 8.5, revenue: 1.5 }, ...]
+ * - expects data: [{ ts: '05/11/2025, 20:40:38', payouts: 8.5, revenue: 1.5 }, ...] (major units)
  */
 function StatsChart({ data }) {
   return (
@@ -25,8 +53,8 @@ function StatsChart({ data }) {
           <YAxis />
           <Tooltip />
           <Legend verticalAlign="bottom" height={36} />
-          <Line type="monotone" dataKey="payouts" stroke="#10B981" strokeWidth={2} dot={{ r: 4 }} name="Payouts (USD)" />
-          <Line type="monotone" dataKey="revenue" stroke="#2563EB" strokeWidth={2} dot={{ r: 4 }} name="Revenue (USD)" />
+          <Line type="monotone" dataKey="payouts" stroke="#10B981" strokeWidth={2} dot={{ r: 4 }} name="Payouts" />
+          <Line type="monotone" dataKey="revenue" stroke="#2563EB" strokeWidth={2} dot={{ r: 4 }} name="Revenue" />
         </LineChart>
       </ResponsiveContainer>
     </div>
@@ -46,8 +74,11 @@ const API_BASE = (() => {
 })();
 
 export default function AdminPage() {
-  const [adminKey, setAdminKey] = useState('BattleHub2025Secret!');
+  // staff token from POST /admin/auth/login
+  const [adminToken, setAdminToken] = useState('');
   const [users, setUsers] = useState([]);
+  const [userTotal, setUserTotal] = useState(0);
+  const [unpaidTotal, setUnpaidTotal] = useState(0);
   const [matches, setMatches] = useState([]);
   const [unpaid, setUnpaid] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -57,7 +88,7 @@ export default function AdminPage() {
   const fetchData = async () => {
     setLoading(true);
     try {
-      const headers = { 'x-admin-key': adminKey };
+      const headers = { Authorization: `Bearer ${adminToken}` };
       const [uRes, mRes, unRes] = await Promise.all([
         fetch(`${apiBase}/admin/users`, { headers }),
         fetch(`${apiBase}/admin/matches`, { headers }),
@@ -82,9 +113,12 @@ export default function AdminPage() {
         toJson(unRes)
       ]);
 
-      setUsers(Array.isArray(usersData) ? usersData : []);
-      setMatches(Array.isArray(matchesData) ? matchesData : []);
-      setUnpaid(Array.isArray(unpaidData) ? unpaidData : []);
+      // lists are paged ({ users | matches, total, nextCursor }); this view shows the newest page
+      setUsers(Array.isArray(usersData.users) ? usersData.users : []);
+      setMatches(Array.isArray(matchesData.matches) ? matchesData.matches : []);
+      setUnpaid(Array.isArray(unpaidData.matches) ? unpaidData.matches : []);
+      setUserTotal(usersData.total || 0);
+      setUnpaidTotal(unpaidData.total || 0);
     } catch (err) {
       console.error('fetchData error', err);
       alert('Error fetching admin data: ' + (err.message || String(err)));
@@ -94,13 +128,13 @@ export default function AdminPage() {
   };
 
   useEffect(() => {
-    fetchData();
+    if (adminToken) fetchData();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // helper to compute totals
-  const totalRevenue = matches.reduce((s, m) => s + (m.platformCutUSD || 0), 0);
-  const totalPayouts = matches.reduce((s, m) => s + (m.winnerPayoutUSD || 0), 0);
+  const totalRevenue = fmtTotals(matches.map((m) => m.platformCut));
+  const totalPayouts = fmtTotals(matches.map((m) => m.winnerPayout));
 
   // prepare chart data: sort matches by createdAt asc
   const chartData = matches
@@ -108,8 +142,8 @@ export default function AdminPage() {
     .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
     .map((m) => ({
       ts: new Date(m.createdAt).toLocaleString(),
-      payouts: m.winnerPayoutUSD || 0,
-      revenue: m.platformCutUSD || 0
+      payouts: toMajor(m.winnerPayout),
+      revenue: toMajor(m.platformCut)
     }));
 
   // run matchmaking or batch payout buttons (best-effort POST; server may or may not implement)
@@ -117,7 +151,7 @@ export default function AdminPage() {
     try {
       const res = await fetch(`${apiBase}${path}`, {
         method: 'POST',
-        headers: { 'content-type': 'application/json', 'x-admin-key': adminKey }
+        headers: { 'content-type': 'application/json', Authorization: `Bearer ${adminToken}` }
       });
       const txt = await res.text();
       alert(`Action response: ${res.status}\n\n${txt.slice(0, 200)}`);
@@ -145,7 +179,7 @@ export default function AdminPage() {
         </div>
 
         <div style={{ display: 'flex', gap: 10, alignItems: 'center' }}>
-          <input value={adminKey} onChange={(e) => setAdminKey(e.target.value)} style={{ padding: '8px 12px', borderRadius: 8, border: '1px solid #e5e7eb', minWidth: 260 }} />
+          <input value={adminToken} onChange={(e) => setAdminToken(e.target.value)} placeholder="Admin token" style={{ padding: '8px 12px', borderRadius: 8, border: '1px solid #e5e7eb', minWidth: 260 }} />
           <button onClick={fetchData} style={{ padding: '10px 14px', borderRadius: 8, border: '2px solid #111827', background: 'white', cursor: 'pointer' }}>{loading ? 'Loading...' : 'Refresh'}</button>
         </div>
       </header>
@@ -154,15 +188,15 @@ export default function AdminPage() {
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 20, marginTop: 18 }}>
         <div style={{ padding: 18, borderRadius: 12, boxShadow: '0 8px 30px rgba(15,23,42,0.04)', background: '#fff' }}>
           <div style={{ color: '#6b7280' }}>Total Users</div>
-          <div style={{ fontSize: 24, marginTop: 8 }}>{users.length}</div>
+          <div style={{ fontSize: 24, marginTop: 8 }}>{userTotal}</div>
         </div>
         <div style={{ padding: 18, borderRadius: 12, boxShadow: '0 8px 30px rgba(15,23,42,0.04)', background: '#fff' }}>
-          <div style={{ color: '#6b7280' }}>Revenue (USD)</div>
-          <div style={{ fontSize: 24, marginTop: 8 }}>{fmt(totalRevenue)}</div>
+          <div style={{ color: '#6b7280' }}>Revenue</div>
+          <div style={{ fontSize: 24, marginTop: 8 }}>{totalRevenue}</div>
         </div>
         <div style={{ padding: 18, borderRadius: 12, boxShadow: '0 8px 30px rgba(15,23,42,0.04)', background: '#fff' }}>
-          <div style={{ color: '#6b7280' }}>Total Payouts (USD)</div>
-          <div style={{ fontSize: 24, marginTop: 8 }}>{fmt(totalPayouts)}</div>
+          <div style={{ color: '#6b7280' }}>Total Payouts</div>
+          <div style={{ fontSize: 24, marginTop: 8 }}>{totalPayouts}</div>
         </div>
       </div>
 
@@ -176,12 +210,12 @@ export default function AdminPage() {
       <section style={{ marginTop: 28 }}>
         <h2 style={{ marginBottom: 12 }}>Platform Trends</h2>
         <StatsChart data={chartData} />
-        <div style={{ marginTop: 10, color: '#6b7280' }}>Chart shows per-match payouts & platform revenue.</div>
+        <div style={{ marginTop: 10, color: '#6b7280' }}>Chart shows per-match payouts & platform revenue, in each match's currency.</div>
       </section>
 
       {/* unpaid matches */}
       <section className="section" style={{ marginTop: 28 }}>
-        <h2>Unpaid Matches</h2>
+        <h2>Unpaid Matches{unpaidTotal > unpaid.length ? ` (oldest ${unpaid.length} of ${unpaidTotal})` : ''}</h2>
         {unpaid.length === 0 ? (
           <div style={{ padding: '12px 16px', borderRadius: 8, background: '#fff', boxShadow: '0 6px 18px rgba(17,24,39,0.04)' }}>No unpaid matches</div>
         ) : (
@@ -199,11 +233,11 @@ export default function AdminPage() {
 {Array.isArray(matches) && matches.map((m) => {
   const title = m?.title || m?.battle?.title || 'Untitled';
   const sport = m?.battle?.sport || '';
-  const pot = (typeof m?.potUSD === 'number') ? m.potUSD : (m?.prize ?? 0);
+  const pot = m?.pot;
   const created = m?.createdAt ? new Date(m.createdAt).toLocaleString() : '';
   const winnerDisplay = m?.winnerName || 'N/A';
-  const winnerPayout = (typeof m?.winnerPayoutUSD === 'number') ? m.winnerPayoutUSD : (m?.winnerPayout || 0);
-  const platformCut = (typeof m?.platformCutUSD === 'number') ? m.platformCutUSD : (m?.platformCut || 0);
+  const winnerPayout = m?.winnerPayout;
+  const platformCut = m?.platformCut;
 
   return (
     <div key={m._id} style={{ padding: 18, background: '#fff', boxShadow: '0 6px 18px rgba(17,24,39,0.04)', borderRadius: 10, display: 'flex', gap: 20, alignItems: 'flex-start', justifyContent: 'space-between' }}>
@@ -6,13 +6,32 @@
 const express = require('express');
 const helmet = require('helmet');
 const { MongoClient } = require('mongodb');
+const mongoose = require('mongoose');
 const cors = require('cors');
 const requestLogger = require('./middleware/request-logger');
 const errorHandler = require('./middleware/error-handler');
+const requireAdmin = require('./middleware/require-admin');
+const { writes, requireFreshTotp } = requireAdmin;
+const Match = require('./models/Match');
+const User = require('./models/User');
+const Entry = require('./models/Entry');
+const { runMatchmaking } = require('./services/matchmaking');
+const { verifyMatch } = require('./services/fairness');
+const { payoutMatch, payoutUnpaid } = require('./services/payouts');
+const ledger = require('./services/ledger');
+const audit = require('./services/audit');
+const mail = require('./services/mail');
+const { sendError } = require('./lib/errors');
+const { parseList, paginate, dateRange, booleanParam, objectIdParam, searchRegex } = require('./lib/pagination');
+
+const USER_SORTS = ['createdAt', 'email', 'name'];
+const MATCH_SORTS = ['createdAt', 'payoutAt'];
 
 const app = express();
 app.use(requestLogger);
 app.use(helmet());
+// Stripe signs the raw body, so its webhook must be registered before the JSON parser
+app.use('/payments/stripe/webhook', require('./routes/stripe-webhook'));
 app.use(express.json());
 
 // -------------------- CORS (Cross-Origin Resource Sharing) --------------------
@@ -48,7 +67,6 @@ const corsOptions = {
 // Handle preflight (OPTIONS) requests globally
 
 // ----- Config / env -----
-const ADMIN_KEY = process.env.ADMIN_KEY || 'BattleHub2025Secret!';
 const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || '';
 
 // ----- Mongo (optional) -----
@@ -91,15 +109,6 @@ connectMongo().catch(err => {
   console.error('Unexpected error in connectMongo():', err);
 });
 
-// ----- admin key middleware -----
-function requireAdminKey(req, res, next) {
-  const key = req.header('x-admin-key');
-  if (!key || key !== ADMIN_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}
-
 // ----- health check -----
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
@@ -135,91 +144,166 @@ app.get('/healthz', (req, res) => {
 
 app.use(cors(corsOptions));
 
+// ----- player endpoints -----
+app.use('/auth', require('./routes/auth'));
+app.use('/battles', require('./routes/battles'));
+app.use('/matches', require('./routes/matches'));
+app.use('/wallet', require('./routes/wallet'));
+app.use('/ratings', require('./routes/ratings'));
+app.use('/payments/pesapal', require('./routes/pesapal'));
+app.use('/payments/fake', require('./routes/fake-payments'));
+app.use('/payments', require('./routes/payments'));
 
 // ----- admin endpoints (safe) -----
-app.post('/admin/run-matchmaking', requireAdminKey, async (req, res) => {
-  return res.json({ ok: true, message: 'Matchmaking triggered (stub)' });
-});
+// staff sign in at /admin/auth/login; every other /admin route checks the
+// caller's role against lib/permissions.js (middleware/require-admin.js)
+app.use('/admin/auth', require('./routes/admin-auth'));
 
-app.get('/admin/users', requireAdminKey, async (req, res) => {
+app.post('/admin/run-matchmaking', requireAdmin('matchmaking'), async (req, res) => {
   try {
-    if (mongoClient && mongoConnected) {
-      const db = mongoClient.db();
-      const users = await db.collection('users')
-        .find({}, { projection: { password: 0 } })
-        .limit(100)
-        .toArray();
-      return res.json(users);
+    const battleId = req.body && req.body.battleId;
+    if (battleId && !mongoose.isValidObjectId(battleId)) {
+      return res.status(400).json({ error: 'invalid_battle_id' });
+    }
+    const summary = await runMatchmaking({ battleId });
+    for (const created of summary.processed) {
+      await audit.recordRequest(req, 'match.create', { type: 'match', id: created.matchId }, { after: created });
     }
-    return res.json({ users: [] });
+    return res.json({ ok: true, ...summary });
   } catch (err) {
-    console.error('Error fetching users:', err);
+    console.error('Error in /admin/run-matchmaking:', err);
     return res.status(500).json({ error: 'internal_error' });
   }
 });
 
-app.get('/admin/matches', requireAdminKey, async (req, res) => {
+// admin audit of a match draw; unlike /matches/:id/verify this can also
+// re-check legacy draws that depend on MATCH_SECRET
+app.get('/admin/match/:id/verify', requireAdmin('read'), async (req, res) => {
   try {
-    if (mongoClient && mongoConnected) {
-      const db = mongoClient.db();
-      const matches = await db.collection('matches').find({}).limit(200).toArray();
-      return res.json(matches);
-    }
-    return res.json([]);
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const match = await Match.findById(req.params.id).lean();
+    if (!match) return res.status(404).json({ error: 'not_found' });
+    return res.json({ ok: true, ...verifyMatch(match, { allowLegacy: true }) });
   } catch (err) {
-    console.error('Error fetching matches:', err);
+    console.error('Error in /admin/match/:id/verify:', err);
     return res.status(500).json({ error: 'internal_error' });
   }
 });
 
-app.get('/admin/unpaid-matches', requireAdminKey, async (req, res) => {
+// GET /admin/users?search=&role=&testTag=&from=&to=&sort=-createdAt&limit=&cursor=
+// search matches email or name (case-insensitive); see lib/pagination.js
+app.get('/admin/users', requireAdmin('read'), async (req, res) => {
   try {
-    if (mongoClient && mongoConnected) {
-      const db = mongoClient.db();
-      const unpaid = await db.collection('matches').find({ paid: false }).limit(100).toArray();
-      return res.json(unpaid);
-    }
-    return res.json([]);
+    const list = parseList(req.query, { sorts: USER_SORTS });
+    const q = dateRange(req.query);
+    if (req.query.search) q.$or = [{ email: searchRegex(req.query.search) }, { name: searchRegex(req.query.search) }];
+    if (req.query.role) q.role = String(req.query.role);
+    if (req.query.testTag) q.testTag = String(req.query.testTag);
+
+    const { items, ...page } = await paginate(User, q, list, { select: '-password' });
+    // balances come from the ledger, not the user document
+    const balances = await ledger.walletBalances(items.map(u => u._id));
+    return res.json({ ok: true, ...page, users: items.map(u => ({ ...u, balances: balances[String(u._id)] })) });
   } catch (err) {
-    console.error('Error fetching unpaid matches:', err);
-    return res.status(500).json({ error: 'internal_error' });
+    return sendError(res, err, 'GET /admin/users');
   }
 });
 
-// POST /admin/payout-unpaid (keeps safe behaviour)
-app.post('/admin/payout-unpaid', requireAdminKey, async (req, res) => {
+// GET /admin/users/:id/statement?currency=USD — a user's wallet statement with running balance
+app.get('/admin/users/:id/statement', requireAdmin('read'), async (req, res) => {
   try {
-    if (!(mongoClient && mongoConnected)) {
-      return res.status(503).json({ error: 'db_unavailable', message: 'Mongo not connected' });
-    }
-    const db = mongoClient.db();
-    const matchesCol = db.collection('matches');
-    const unpaid = await matchesCol.find({ paid: false }).limit(100).toArray();
-    if (!unpaid || unpaid.length === 0) return res.json({ paid: [], count: 0 });
-
-    const ids = unpaid.map(m => m._id);
-    await matchesCol.updateMany({ _id: { $in: ids } }, { $set: { paid: true, paidAt: new Date() } });
-
-    // audit line
-    const fs = require('fs');
-    const path = require('path');
-    const d = new Date();
-    const dateStr = d.toISOString().slice(0,10);
-    const logDir = path.join(__dirname, 'logs');
-    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
-    const logFile = path.join(logDir, `payout-${dateStr}.log`);
-    const line = `${new Date().toISOString()} | admin=${req.header('x-admin-key') ? 'present' : 'missing'} | payouts=${unpaid.length} | ids=${ids.map(id=>String(id)).join(',')}\n`;
-    fs.appendFileSync(logFile, line, { encoding: 'utf8' });
-
-    return res.json({ paid: unpaid.length, ids: ids });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const statement = await ledger.statement(ledger.walletAccount(req.params.id), req.query.currency, { limit });
+    return res.json({ ok: true, ...statement });
+  } catch (err) {
+    return sendError(res, err, '/admin/users/:id/statement');
+  }
+});
+
+// Filters shared by the match lists: from, to, paid, battle, user (id or
+// email: matches they entered), testTag, resultStatus.
+async function matchFilter(query) {
+  const q = dateRange(query);
+  const paid = booleanParam(query.paid, 'paid');
+  if (paid !== undefined) q.paid = paid;
+  const battle = objectIdParam(query.battle, 'battle');
+  if (battle) q.battle = battle;
+  if (query.testTag) q.testTag = String(query.testTag);
+  if (query.resultStatus) q.resultStatus = String(query.resultStatus);
+  if (query.user) {
+    const who = String(query.user).trim();
+    const user = mongoose.isValidObjectId(who) ? { _id: who } : await User.findOne({ email: who.toLowerCase() }).select('_id').lean();
+    q.entries = { $in: user ? await Entry.find({ user: user._id }).distinct('_id') : [] };
+  }
+  return q;
+}
+
+// GET /admin/matches?paid=&battle=&user=&testTag=&resultStatus=&from=&to=&sort=-createdAt&limit=&cursor=
+app.get('/admin/matches', requireAdmin('read'), async (req, res) => {
+  try {
+    const list = parseList(req.query, { sorts: MATCH_SORTS });
+    const { items, ...page } = await paginate(Match, await matchFilter(req.query), list);
+    return res.json({ ok: true, ...page, matches: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/matches');
+  }
+});
+
+// GET /admin/unpaid-matches — same filters (paid is always false), oldest first
+app.get('/admin/unpaid-matches', requireAdmin('read'), async (req, res) => {
+  try {
+    const list = parseList(req.query, { sorts: MATCH_SORTS, defaultSort: 'createdAt' });
+    const q = Object.assign(await matchFilter(req.query), { paid: false });
+    const { items, ...page } = await paginate(Match, q, list);
+    return res.json({ ok: true, ...page, matches: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/unpaid-matches');
+  }
+});
+
+function isDryRun(req) {
+  const v = (req.body && req.body.dryRun !== undefined) ? req.body.dryRun : req.query.dryRun;
+  return v === true || v === 'true' || v === '1';
+}
+
+// POST /admin/payout-unpaid { dryRun?, limit? } — finance only; applying needs x-totp-code
+// Credits winners through services/payouts.js (same as scripts/payout-unpaid.js).
+app.post('/admin/payout-unpaid', requireAdmin('payouts'), requireFreshTotp({ skip: isDryRun }), async (req, res) => {
+  try {
+    const apply = !isDryRun(req);
+    const limit = Math.min(Math.max(parseInt((req.body && req.body.limit) || req.query.limit, 10) || 100, 1), 500);
+
+    // each paid match gets its payout.apply audit entry in its own transaction; a batch shares the request id
+    const summary = await payoutUnpaid({ apply, limit, auditContext: audit.fromRequest(req) });
+    const ids = summary.details.filter(d => d.applied).map(d => d.match);
+
+    return res.json({ ok: true, paid: ids.length, ids, ...summary });
   } catch (err) {
     console.error('Error in /admin/payout-unpaid:', err);
     return res.status(500).json({ error: 'internal_error' });
   }
 });
 
+// POST /admin/payout/:matchId { dryRun? } — pay out a single match (x-totp-code unless dry run)
+app.post('/admin/payout/:matchId', requireAdmin('payouts'), requireFreshTotp({ skip: isDryRun }), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.matchId)) return res.status(404).json({ error: 'not_found' });
+    const exists = await Match.exists({ _id: req.params.matchId });
+    if (!exists) return res.status(404).json({ error: 'not_found' });
+
+    const apply = !isDryRun(req);
+    const result = await payoutMatch(req.params.matchId, { apply, auditContext: audit.fromRequest(req) });
+
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Error in /admin/payout/:matchId:', err);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  }
+});
+
 // ----- debug endpoint to inspect DB state -----
-app.get('/admin/db-info', requireAdminKey, async (req, res) => {
+app.get('/admin/db-info', requireAdmin('read'), async (req, res) => {
   try {
     if (!(mongoClient && mongoConnected)) {
       return res.json({ ok: false, error: 'db_unavailable', message: mongoClient ? 'Mongo client not initialized' : 'Mongo not configured' });
@@ -243,9 +327,14 @@ app.get('/admin/db-info', requireAdminKey, async (req, res) => {
   }
 });
 
-app.use('/admin/games', require('./routes/games'));
+app.use('/admin/games', requireAdmin(writes('games')), require('./routes/games'));
+app.use('/admin/withdrawals', requireAdmin(writes('payouts')), require('./routes/admin-withdrawals'));
+app.use('/admin/battles', requireAdmin(writes('battles')), require('./routes/admin-battles'));
+app.use('/admin/fee-rules', requireAdmin(writes('fees')), require('./routes/admin-fee-rules'));
+app.use('/admin/matches', requireAdmin(writes('results')), require('./routes/admin-match-results'));
+app.use('/admin/users', requireAdmin('read'), require('./routes/admin-users'));
+app.use('/admin/audit', requireAdmin('audit'), require('./routes/admin-audit'));
 
-app.use('/admin/pesapal', require('./routes/pesapal'));
 
 // ----- SAFE fallback (avoid path-to-regexp issues) -----
 app.use((req, res, next) => {
@@ -262,12 +351,18 @@ app.get('/healthz', (req, res) => {
 
 
 // ------ Mongo + Server Startup (replaces old app.listen block) ------
-const mongoose = require('mongoose');
 
 
 const PORT = process.env.PORT || 4000;
 
 async function startServer() {
+  // sending is refused until this is fixed; say so now rather than at the first signup
+  try {
+    mail.transport();
+  } catch (err) {
+    console.error('❌ Email is not configured:', err.message);
+  }
+
   try {
     console.log('Attempting to connect to Mongo:', MONGO_URI);
 
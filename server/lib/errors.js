@@ -0,0 +1,25 @@
+// lib/errors.js
+// Error carrying an HTTP status and a snake_case code, so services can fail
+// with a meaningful response and routes can forward it unchanged.
+class AppError extends Error {
+  constructor(status, code, message, extra) {
+    super(message || code);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra || {};
+  }
+
+  toJSON() {
+    return Object.assign({ error: this.code, message: this.message }, this.extra);
+  }
+}
+
+// Send an AppError as-is; anything else is logged and becomes a 500.
+function sendError(res, err, where) {
+  if (err instanceof AppError) return res.status(err.status).json(err.toJSON());
+  console.error(`Error in ${where}:`, err);
+  return res.status(500).json({ error: 'internal_error' });
+}
+
+module.exports = { AppError, sendError };
@@ -0,0 +1,140 @@
+// lib/money.js
+// Money is always an integer amount of minor units plus an ISO currency code:
+//   { amount: 500, currency: 'USD' } is $5.00, { amount: 5000, currency: 'UGX' } is USh 5,000.
+// Never do arithmetic on major-unit floats; convert at the edges with fromMajor/toMajor.
+const { AppError } = require('./errors');
+
+// exponent = number of minor-unit digits
+const CURRENCIES = {
+  USD: { exponent: 2 },
+  KES: { exponent: 2 },
+  UGX: { exponent: 0 },
+};
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Units of each currency per 1 USD, used for display conversion only (balances
+// and payouts never convert). Override with EXCHANGE_RATES='{"UGX":3700,"KES":129}'.
+const DEFAULT_RATES = { USD: 1, KES: 129, UGX: 3700 };
+
+function loadRates() {
+  const rates = Object.assign({}, DEFAULT_RATES);
+  if (process.env.EXCHANGE_RATES) {
+    try {
+      Object.assign(rates, JSON.parse(process.env.EXCHANGE_RATES));
+    } catch (err) {
+      console.warn('⚠️ EXCHANGE_RATES is not valid JSON — using default rates:', err.message);
+    }
+  }
+  return rates;
+}
+
+const RATES = loadRates();
+
+function isCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, String(code || '').toUpperCase());
+}
+
+function normalizeCurrency(code) {
+  const c = String(code || DEFAULT_CURRENCY).toUpperCase();
+  if (!isCurrency(c)) throw new AppError(400, 'unsupported_currency', `Unsupported currency: ${code}`);
+  return c;
+}
+
+function exponent(currency) {
+  return CURRENCIES[normalizeCurrency(currency)].exponent;
+}
+
+function money(amount, currency) {
+  if (!Number.isSafeInteger(amount)) throw new Error(`money amount must be an integer of minor units, got ${amount}`);
+  return { amount, currency: normalizeCurrency(currency) };
+}
+
+function zero(currency) {
+  return money(0, currency);
+}
+
+const DECIMAL = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+function invalidAmount(value, why) {
+  return new AppError(400, 'invalid_amount', `Invalid amount: ${value}${why ? ` (${why})` : ''}`);
+}
+
+// 5.1 USD -> { amount: 510, currency: 'USD' }. The decimal string is shifted
+// digit by digit, so nothing goes through a float. Anything but a plain decimal
+// with at most the currency's decimal places ('5.005' USD, '1e21', '') is a
+// 400 invalid_amount; it is never rounded. `round` is for amounts computed as
+// floats (rate conversions, legacy major-unit fields): rounded to the nearest
+// minor unit instead.
+function fromMajor(value, currency, { round = false } = {}) {
+  const exp = exponent(currency);
+  if (round) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw invalidAmount(value);
+    // toPrecision drops float noise first, so 1.005 * 100 rounds up to 101
+    const amount = Math.round(Number((n * 10 ** exp).toPrecision(15)));
+    if (!Number.isSafeInteger(amount)) throw invalidAmount(value, 'too large');
+    return money(amount, currency);
+  }
+
+  const parts = DECIMAL.exec(typeof value === 'number' ? String(value) : String(value == null ? '' : value).trim());
+  if (!parts) throw invalidAmount(value);
+  const [, sign, whole, fraction = ''] = parts;
+  const digits = fraction.replace(/0+$/, '');
+  if (digits.length > exp) throw invalidAmount(value, `at most ${exp} decimal places in ${normalizeCurrency(currency)}`);
+  const amount = Number(whole + digits.padEnd(exp, '0'));
+  if (!Number.isSafeInteger(amount)) throw invalidAmount(value, 'too large');
+  return money(sign && amount ? -amount : amount, currency);
+}
+
+function toMajor(m) {
+  return m.amount / 10 ** exponent(m.currency);
+}
+
+function assertSameCurrency(a, b) {
+  if (a.currency !== b.currency) throw new Error(`currency mismatch: ${a.currency} vs ${b.currency}`);
+}
+
+function add(a, b) {
+  assertSameCurrency(a, b);
+  return money(a.amount + b.amount, a.currency);
+}
+
+function subtract(a, b) {
+  assertSameCurrency(a, b);
+  return money(a.amount - b.amount, a.currency);
+}
+
+function multiply(m, factor) {
+  return money(Math.round(m.amount * factor), m.currency);
+}
+
+function format(m) {
+  return `${toMajor(m).toFixed(exponent(m.currency))} ${m.currency}`;
+}
+
+// Display-only conversion through the USD rate table.
+function convert(m, to) {
+  const target = normalizeCurrency(to);
+  if (m.currency === target) return money(m.amount, target);
+  const usd = toMajor(m) / RATES[m.currency];
+  return fromMajor(usd * RATES[target], target, { round: true });
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  RATES,
+  isCurrency,
+  normalizeCurrency,
+  exponent,
+  money,
+  zero,
+  fromMajor,
+  toMajor,
+  add,
+  subtract,
+  multiply,
+  format,
+  convert,
+};
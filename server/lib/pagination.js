@@ -0,0 +1,144 @@
+// lib/pagination.js
+// Cursor pagination, sorting and the common filters of admin lists:
+//
+//   ?limit=50&sort=-createdAt&cursor=<nextCursor of the previous page>
+//
+// A cursor holds the sort value and _id of a page's last row; the next page
+// starts strictly after that row, so rows added while paging never shift a
+// page or show up twice (as they would with skip). Lists answer
+// { ok, <items>, total, nextCursor, sort }; nextCursor is null on the last page.
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function getPath(obj, path) {
+  return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+
+function encodeCursor(row, field) {
+  const value = getPath(row, field);
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : value == null ? null : String(value),
+    t: value instanceof Date ? 'date' : typeof value === 'number' ? 'number' : 'string',
+    id: String(row._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    payload = null;
+  }
+  if (!payload || payload.f !== field || !mongoose.isValidObjectId(payload.id)) {
+    throw new AppError(400, 'invalid_cursor', 'cursor does not belong to this list and sort; start again without it');
+  }
+  let value = payload.v;
+  if (value !== null && payload.t === 'date') value = new Date(value);
+  if (value !== null && payload.t === 'number') value = Number(value);
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * limit, sort and cursor from the query string. `sorts` lists the fields a
+ * list may be sorted by; sort=field is ascending, sort=-field descending.
+ * Returns { limit, field, dir, after }.
+ */
+function parseList(query, { sorts, defaultSort = '-createdAt', defaultLimit = DEFAULT_LIMIT } = {}) {
+  const sort = String(query.sort || defaultSort);
+  const dir = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+  if (!sorts.includes(field)) throw new AppError(400, 'invalid_sort', `sort by one of ${sorts.join(', ')}`, { sorts });
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+  const after = query.cursor ? decodeCursor(query.cursor, field) : null;
+  return { limit, field, dir, after };
+}
+
+// Rows strictly after the cursor in (field, _id) order. Missing values sort
+// lowest in MongoDB, so they come first ascending and last descending.
+function afterFilter({ field, dir, after }) {
+  if (field === '_id') return { _id: { [dir === 1 ? '$gt' : '$lt']: after.id } };
+  const op = dir === 1 ? '$gt' : '$lt';
+  if (after.value === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: { $gt: after.id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: after.id } };
+  }
+  const or = [{ [field]: { [op]: after.value } }, { [field]: after.value, _id: { [op]: after.id } }];
+  if (dir === -1) or.push({ [field]: null });
+  return { $or: or };
+}
+
+/**
+ * One page of `Model` rows matching `filter`, as lean objects.
+ * Returns { items, total, nextCursor, sort }; total counts the whole filter.
+ */
+async function paginate(Model, filter, list, { select, populate } = {}) {
+  const { limit, field, dir, after } = list;
+  const query = after ? { $and: [filter, afterFilter(list)] } : filter;
+  const find = Model.find(query).sort(field === '_id' ? { _id: dir } : { [field]: dir, _id: dir }).limit(limit + 1).lean();
+  if (select) find.select(select);
+  if (populate) find.populate(populate);
+
+  const [rows, total] = await Promise.all([find, Model.countDocuments(filter)]);
+  const more = rows.length > limit;
+  if (more) rows.pop();
+  return {
+    items: rows,
+    total,
+    nextCursor: more ? encodeCursor(rows[rows.length - 1], field) : null,
+    sort: `${dir === -1 ? '-' : ''}${field}`,
+  };
+}
+
+// ----- common filters -----
+
+// { field: { $gte: from, $lte: to } } from ?from=&to= (ISO dates), or {}.
+function dateRange(query, field = 'createdAt') {
+  if (!query.from && !query.to) return {};
+  const range = {};
+  for (const [param, op] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[param]) continue;
+    const d = new Date(query[param]);
+    if (Number.isNaN(d.getTime())) throw new AppError(400, 'invalid_date', `${param} must be a date`);
+    range[op] = d;
+  }
+  return { [field]: range };
+}
+
+// 'true' / 'false' (or 1 / 0); undefined when absent.
+function booleanParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new AppError(400, `invalid_${name}`, `${name} must be true or false`);
+}
+
+function objectIdParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (!mongoose.isValidObjectId(value)) throw new AppError(400, `invalid_${name}_id`);
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+// Case-insensitive substring match for ?search= (regex characters escaped).
+function searchRegex(text) {
+  return new RegExp(String(text).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseList,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  dateRange,
+  booleanParam,
+  objectIdParam,
+  searchRegex,
+};
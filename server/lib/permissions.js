@@ -0,0 +1,24 @@
+// lib/permissions.js
+// Staff roles (stored in User.role) and what each may do on the admin API.
+// 'service' is the scheduler's ADMIN_KEY credential, which can only trigger
+// matchmaking.
+const STAFF_ROLES = ['admin', 'finance', 'support'];
+const ROLES = ['user', ...STAFF_ROLES];
+
+const PERMISSIONS = {
+  read: ['admin', 'finance', 'support'], // admin lists, statements, draw audits
+  matchmaking: ['admin', 'service'],
+  payouts: ['finance'], // match payouts and withdrawal decisions move money
+  fees: ['admin', 'finance'],
+  battles: ['admin', 'support'],
+  games: ['admin', 'support'],
+  results: ['admin', 'support'], // resolving disputed match results
+  users: ['admin'], // granting and revoking staff roles
+  audit: ['admin', 'finance'], // reading and exporting the admin audit log
+};
+
+function can(role, permission) {
+  return Boolean(PERMISSIONS[permission] && PERMISSIONS[permission].includes(role));
+}
+
+module.exports = { STAFF_ROLES, ROLES, PERMISSIONS, can };
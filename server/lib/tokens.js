@@ -0,0 +1,75 @@
+// lib/tokens.js
+// JWT helpers shared by the auth routes and the requireUser / requireAdmin
+// middleware. Admin tokens carry the 'admin' audience and a shorter lifetime;
+// player tokens are never accepted on the admin API. Single-purpose tokens
+// (email verification, password reset) carry their purpose as audience, so
+// none of them can stand in for another.
+//
+// User and admin tokens carry the user's tokenVersion (`ver`); a password
+// reset bumps it, which revokes every token issued before, including ones
+// issued within the same second (iat only has second precision).
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'battlehub_dev_jwt_secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ADMIN_JWT_EXPIRES_IN = process.env.ADMIN_JWT_EXPIRES_IN || '8h';
+const ADMIN_AUDIENCE = 'admin';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn('⚠️ JWT_SECRET is not set — using the development secret. Set JWT_SECRET in production.');
+}
+
+// payload mirrors the tokens used in e2e.sh: { id, email, role }, plus ver
+function signUserToken(user) {
+  return jwt.sign(
+    { id: String(user._id), email: user.email, role: user.role, ver: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// throws (JsonWebTokenError / TokenExpiredError) when the token is invalid;
+// admin and single-purpose tokens (which have an audience) are refused
+function verifyUserToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload && payload.aud) throw new jwt.JsonWebTokenError('jwt audience invalid');
+  return payload;
+}
+
+function signAdminToken(user) {
+  return jwt.sign(
+    { id: String(user._id), email: user.email, role: user.role, ver: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ADMIN_JWT_EXPIRES_IN, audience: ADMIN_AUDIENCE }
+  );
+}
+
+function verifyAdminToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: ADMIN_AUDIENCE });
+}
+
+// Whether a user / admin token was revoked by a later password reset. Tokens
+// from before `ver` existed fall back to iat, counting a token issued in the
+// very second of the change as revoked.
+function isRevoked(payload, user) {
+  if (payload.ver !== undefined) return payload.ver !== (user.tokenVersion || 0);
+  return Boolean(user.passwordChangedAt) && payload.iat <= Math.floor(user.passwordChangedAt.getTime() / 1000);
+}
+
+function signPurposeToken(payload, purpose, expiresIn) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn, audience: purpose });
+}
+
+function verifyPurposeToken(token, purpose) {
+  return jwt.verify(token, JWT_SECRET, { audience: purpose });
+}
+
+module.exports = {
+  signUserToken,
+  verifyUserToken,
+  signAdminToken,
+  verifyAdminToken,
+  isRevoked,
+  signPurposeToken,
+  verifyPurposeToken,
+};
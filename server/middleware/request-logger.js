@@ -1,10 +1,19 @@
+const crypto = require('crypto');
+
+// Every request gets an id (the caller's x-request-id when it looks sane, so
+// a proxy's id carries through), echoed in the response and the audit log.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
 module.exports = function requestLogger(req, res, next) {
-  console.log('➡️ Incoming:', req.method, req.url);
+  const incoming = req.header('x-request-id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('x-request-id', req.id);
+
+  console.log('➡️ Incoming:', req.method, req.url, req.id);
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    console.log('⬅️ Done:', req.method, req.url, res.statusCode, `${duration}ms`);
+    console.log('⬅️ Done:', req.method, req.url, res.statusCode, `${duration}ms`, req.id);
   });
   next();
 };
-
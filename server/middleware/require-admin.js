@@ -0,0 +1,122 @@
+// middleware/require-admin.js
+// Admin API access. Staff send `Authorization: Bearer <admin token>` (from
+// POST /admin/auth/login); the role is re-read from the User on every request
+// so a revoked role takes effect at once. The scheduler may instead send
+// `x-admin-key: $ADMIN_KEY`, a service credential limited to matchmaking.
+//
+// Sets req.admin = { kind: 'user' | 'service', role, user? }. Locked accounts
+// (services/two-factor.js) are refused with 423 until the lock expires.
+//
+// requireFreshTotp() additionally demands a current authenticator code in the
+// `x-totp-code` header, for actions that move money.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyAdminToken, isRevoked } = require('../lib/tokens');
+const { STAFF_ROLES, can } = require('../lib/permissions');
+const twoFactor = require('../services/two-factor');
+const { sendError } = require('../lib/errors');
+
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
+
+function bearerToken(req) {
+  const header = req.header('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+function sameSecret(a, b) {
+  const h = v => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(h(a), h(b));
+}
+
+async function principal(req) {
+  const token = bearerToken(req);
+  if (token) {
+    let payload;
+    try {
+      payload = verifyAdminToken(token);
+    } catch (err) {
+      return { error: err && err.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token' };
+    }
+    if (!payload || !mongoose.isValidObjectId(payload.id)) return { error: 'invalid_token' };
+    const user = await User.findById(payload.id);
+    if (!user || !STAFF_ROLES.includes(user.role)) return { error: 'not_staff' };
+    // tokens issued before a password reset stop working, as for players
+    if (isRevoked(payload, user)) return { error: 'token_revoked' };
+    if (twoFactor.isLocked(user)) return { locked: user };
+    return { kind: 'user', role: user.role, user };
+  }
+
+  const key = req.header('x-admin-key');
+  if (key && ADMIN_KEY && sameSecret(key, ADMIN_KEY)) return { kind: 'service', role: 'service' };
+  return { error: 'unauthorized' };
+}
+
+/**
+ * Middleware requiring `permission` (lib/permissions.js), or a function
+ * (req) => permission for routers mixing reads and writes, see writes().
+ */
+function requireAdmin(permission) {
+  return async function (req, res, next) {
+    try {
+      const who = await principal(req);
+      if (who.locked) return sendError(res, twoFactor.lockedError(who.locked), 'requireAdmin');
+      if (who.error) return res.status(401).json({ error: who.error });
+      const needed = typeof permission === 'function' ? permission(req) : permission;
+      if (!can(who.role, needed)) return res.status(403).json({ error: 'forbidden', permission: needed, role: who.role });
+      req.admin = who;
+      next();
+    } catch (err) {
+      console.error('Error in requireAdmin:', err);
+      return res.status(500).json({ error: 'internal_error' });
+    }
+  };
+}
+
+// Middleware (after requireAdmin) checking one more permission, for routers
+// whose routes need different ones.
+function permit(permission) {
+  return function (req, res, next) {
+    if (!req.admin || !can(req.admin.role, permission)) {
+      return res.status(403).json({ error: 'forbidden', permission, role: req.admin && req.admin.role });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware (after requireAdmin) demanding a fresh TOTP code from the staff
+ * user. Codes are single-use; failures count towards the lockout.
+ * skip(req) exempts requests that change nothing (e.g. dry runs).
+ */
+function requireFreshTotp({ skip } = {}) {
+  return async function (req, res, next) {
+    try {
+      if (skip && skip(req)) return next();
+      if (!req.admin || !req.admin.user) return res.status(403).json({ error: 'totp_enrollment_required' });
+      await twoFactor.verifyCode(req.admin.user._id, req.header('x-totp-code'));
+      next();
+    } catch (err) {
+      return sendError(res, err, 'requireFreshTotp');
+    }
+  };
+}
+
+// GET / HEAD need 'read'; anything else needs `permission`.
+function writes(permission) {
+  return req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : permission);
+}
+
+// Who did it, for logs: the staff email or 'service'.
+function actorLabel(req) {
+  if (!req.admin) return 'unknown';
+  return req.admin.user ? req.admin.user.email : req.admin.kind;
+}
+
+module.exports = requireAdmin;
+module.exports.writes = writes;
+module.exports.permit = permit;
+module.exports.requireFreshTotp = requireFreshTotp;
+module.exports.actorLabel = actorLabel;
@@ -0,0 +1,43 @@
+// middleware/require-user.js
+// Resolves `Authorization: Bearer <jwt>` into req.user (a User document).
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyUserToken, isRevoked } = require('../lib/tokens');
+
+function bearerToken(req) {
+  const header = req.header('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+module.exports = async function requireUser(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: 'unauthorized', message: 'Missing bearer token' });
+
+  let payload;
+  try {
+    payload = verifyUserToken(token);
+  } catch (err) {
+    const expired = err && err.name === 'TokenExpiredError';
+    return res.status(401).json({ error: expired ? 'token_expired' : 'invalid_token' });
+  }
+
+  try {
+    if (!payload || !mongoose.isValidObjectId(payload.id)) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    const user = await User.findById(payload.id);
+    if (!user) return res.status(401).json({ error: 'unauthorized', message: 'User no longer exists' });
+    // tokens issued before a password reset stop working
+    if (isRevoked(payload, user)) {
+      return res.status(401).json({ error: 'token_revoked' });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error in requireUser:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+};
@@ -0,0 +1,47 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of admin actions, written by services/audit.js. Entries
+// form a hash chain: `hash` covers the entry's fields and the previous entry's
+// hash, and `seq` has no gaps, so editing, deleting or reordering entries shows
+// up in audit.verifyChain(). Updates and deletes through the model are refused.
+//
+// before / after hold plain JSON snapshots of what changed (secrets stripped).
+const AuditLogSchema = new mongoose.Schema({
+  seq: { type: Number, required: true },
+  at: { type: Date, required: true },
+  actor: {
+    kind: { type: String, enum: ['user', 'service', 'script'], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String },
+    name: { type: String }, // scripts: which one
+  },
+  action: { type: String, required: true }, // e.g. "payout.apply", "game.start"
+  target: {
+    type: { type: String }, // "match", "game", "user", ...
+    id: { type: String },
+  },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  meta: { type: mongoose.Schema.Types.Mixed },
+  requestId: { type: String },
+  ip: { type: String },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true },
+});
+
+AuditLogSchema.index({ seq: 1 }, { unique: true });
+AuditLogSchema.index({ action: 1, at: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, at: -1 });
+AuditLogSchema.index({ 'actor.user': 1, at: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+function appendOnly(next) {
+  next(new Error('audit log entries cannot be changed or deleted'));
+}
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  AuditLogSchema.pre(op, appendOnly);
+}
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,12 +1,33 @@
 // models/Battle.js
 const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
 
 const BattleSchema = new mongoose.Schema({
   title: { type: String, required: true },
   sport: { type: String, default: 'car' }, // car, boxing, bike, football etc.
-  entryFeeUSD: { type: Number, default: 5 }, // dollars
+  entryFee: { type: MoneySchema, default: () => ({ amount: 500, currency: 'USD' }) }, // minor units
   startAt: { type: Date, default: Date.now },
-  state: { type: String, default: 'open' }, // open / ongoing / finished
+  // lifecycle, changed only through services/battle-lifecycle.js:
+  // open -> closed -> ongoing -> finished, open / closed -> cancelled
+  state: { type: String, enum: ['open', 'closed', 'ongoing', 'finished', 'cancelled'], default: 'open' },
+  matchSize: { type: Number, default: 2, min: 2 }, // entrants per match at matchmaking
+  minEntrants: { type: Number, default: 2, min: 2 }, // paid entries needed by startAt, else auto-cancelled
+  prizeStructure: { type: [Number], default: () => [100] }, // % of prize money per place, e.g. [60, 30, 10]
+  // arrival: matches in join order; rating: players of similar rating (services/ratings.js) matched together
+  matchmakingMode: { type: String, enum: ['arrival', 'rating'], default: 'arrival' },
+  // draw: placings drawn at matchmaking; reported: participants report scores (skill-based sports)
+  resultMode: { type: String, enum: ['draw', 'reported'], default: 'draw' },
+  // draw commitment (services/fairness.js): sha256 of the server seed, published
+  // from creation on; the seed itself is only shown on the matches once drawn
+  drawSeedHash: { type: String },
+  drawSeed: { type: String, select: false },
+  drawCommittedAt: { type: Date },
+  lastEntryPaidAt: { type: Date }, // written with every settled entry fee (services/entry-fees.js)
+  closedAt: { type: Date },
+  finishedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -1,14 +1,26 @@
 // models/Entry.js
 const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
 
 const EntrySchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle', required: true },
   stripeSessionId: { type: String },
+  fee: { type: MoneySchema }, // battle entry fee at the time of joining
   paid: { type: Boolean, default: false },
+  paidAt: { type: Date },
+  paidWith: { type: String }, // 'wallet' or the payment provider
+  paymentRef: { type: String }, // provider reference of the payment that paid the fee
   locked: { type: Boolean, default: false }, // becomes true when matched/locked
+  clientSeed: { type: String }, // the entrant's input to the draw (services/fairness.js)
+  refunded: { type: Boolean, default: false }, // fee returned to the wallet (cancelled battle / unmatched)
+  refundedAt: { type: Date },
+  refundPending: { type: String }, // reason of a refund owed but not made yet (swept by the scheduler)
   createdAt: { type: Date, default: Date.now },
 });
 
+// a user can enter a battle only once
+EntrySchema.index({ battle: 1, user: 1 }, { unique: true });
+
 module.exports = mongoose.model('Entry', EntrySchema);
 
@@ -0,0 +1,43 @@
+// models/FeeRule.js
+const mongoose = require('mongoose');
+
+// Platform fee rule, resolved per battle by services/fees.js (most specific
+// active rule wins: battle > sport > default, a currency-specific rule before
+// an any-currency one). The rule used is snapshotted onto each Match.
+//
+// Amounts (tiers.minPot, minimum, cap) are integer minor units of `currency`,
+// so a rule that uses them must name its currency.
+const TierSchema = new mongoose.Schema({
+  minPot: { type: Number, required: true, min: 0 }, // tier applies from this pot size up
+  rate: { type: Number, required: true, min: 0, max: 1 },
+}, { _id: false });
+
+const FeeRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  scope: { type: String, enum: ['default', 'sport', 'battle'], required: true },
+  sport: { type: String, lowercase: true }, // scope 'sport'
+  battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle' }, // scope 'battle'
+  currency: { type: String, uppercase: true }, // null: any currency
+  rate: { type: Number, required: true, min: 0, max: 1 }, // used below the first tier
+  tiers: { type: [TierSchema], default: [] },
+  minimum: { type: Number, min: 0 }, // fixed minimum cut
+  cap: { type: Number, min: 0 }, // maximum cut
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+FeeRuleSchema.index({ scope: 1, sport: 1, battle: 1, currency: 1, active: 1 });
+
+// cross-field checks; failures surface as a normal mongoose ValidationError
+FeeRuleSchema.pre('validate', function () {
+  if (this.scope === 'sport' && !this.sport) this.invalidate('sport', 'sport is required for scope "sport"');
+  if (this.scope === 'battle' && !this.battle) this.invalidate('battle', 'battle is required for scope "battle"');
+  const usesAmounts = this.tiers.length > 0 || this.minimum != null || this.cap != null;
+  if (usesAmounts && !this.currency) this.invalidate('currency', 'currency is required when tiers, minimum or cap are set');
+  const amounts = [this.minimum, this.cap, ...this.tiers.map(t => t.minPot)].filter(v => v != null);
+  if (amounts.some(v => !Number.isSafeInteger(v))) this.invalidate('tiers', 'tier minPot, minimum and cap must be integer minor units');
+  if (this.minimum != null && this.cap != null && this.minimum > this.cap) this.invalidate('minimum', 'minimum cannot exceed cap');
+});
+
+module.exports = mongoose.model('FeeRule', FeeRuleSchema);
@@ -3,19 +3,60 @@ const mongoose = require('mongoose');
 
 const playerSchema = new mongoose.Schema({
   username: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // linked account, rated on completion
   score: { type: Number, default: 0 }
 }, { _id: false });
 
+// Tournament brackets, built and advanced by services/brackets.js.
+const slotSchema = new mongoose.Schema({
+  match: { type: String, required: true }, // code of the match fed
+  slot: { type: Number, enum: [0, 1], required: true },
+}, { _id: false });
+
+const bracketMatchSchema = new mongoose.Schema({
+  code: { type: String, required: true }, // W1-1, L2-1, GF-1 ...
+  bracket: { type: String, enum: ['winners','losers','final'], required: true },
+  round: { type: Number, required: true },
+  position: { type: Number, required: true },
+  players: { type: [String], default: () => [null, null] }, // null: bye / not decided yet
+  filled: { type: [Boolean], default: () => [false, false] }, // slot source decided
+  scores: { type: [Number], default: [] },
+  winner: { type: String, default: null },
+  loser: { type: String, default: null },
+  status: { type: String, enum: ['waiting','ready','completed','bye','void'], default: 'waiting' },
+  winnerTo: { type: slotSchema, default: null },
+  loserTo: { type: slotSchema, default: null },
+  completedAt: { type: Date, default: null }
+}, { _id: false });
+
+const bracketSchema = new mongoose.Schema({
+  format: { type: String, enum: ['single','double'], default: 'single' },
+  seeding: { type: String, enum: ['random','rating'], default: 'random' },
+  size: { type: Number },
+  seeds: { type: [String], default: [] }, // best seed first
+  champion: { type: String, default: null },
+  revision: { type: Number, default: 0 }, // bumped per reported result, guards concurrent reports
+  matches: { type: [bracketMatchSchema], default: [] }
+}, { _id: false });
+
 const gameSchema = new mongoose.Schema({
   title: { type: String, required: true },
   type: { type: String, enum: ['duel','tournament'], default: 'duel' },
+  sport: { type: String, lowercase: true }, // rating pool, see services/ratings.js
   entryFee: { type: Number, default: 0 },
   prizePool: { type: Number, default: 0 },
   players: { type: [playerSchema], default: [] },
+  bracket: { type: bracketSchema, default: undefined }, // tournaments only; format/seeding set at creation, matches at start
   winner: { type: String, default: null },
+  tiedPlayers: { type: [String], default: [] }, // set when a game completes as a draw
   status: { type: String, enum: ['pending','active','completed'], default: 'pending' },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  ratingPending: { type: Boolean }, // completed, not rated yet (services/ratings.js retries)
   createdAt: { type: Date, default: Date.now }
 });
 
+gameSchema.index({ status: 1, createdAt: -1 }); // admin game list
+
 module.exports = mongoose.models.Game || mongoose.model('Game', gameSchema);
 
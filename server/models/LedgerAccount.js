@@ -0,0 +1,18 @@
+// models/LedgerAccount.js
+const mongoose = require('mongoose');
+
+// One row per ledger account and currency. balance (integer minor units) is a
+// projection maintained by services/ledger.js in the same transaction as every
+// posting, and can always be recomputed from LedgerEntry lines (ledger.recomputeBalance).
+const LedgerAccountSchema = new mongoose.Schema({
+  code: { type: String, required: true }, // e.g. wallet:<userId>, platform:revenue
+  currency: { type: String, required: true, uppercase: true },
+  type: { type: String, enum: ['wallet', 'revenue', 'escrow', 'clearing', 'equity'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // wallet accounts only
+  balance: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+LedgerAccountSchema.index({ code: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('LedgerAccount', LedgerAccountSchema);
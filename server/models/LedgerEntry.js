@@ -0,0 +1,38 @@
+// models/LedgerEntry.js
+const mongoose = require('mongoose');
+
+// A balanced journal entry in a single currency: the line amounts (integer
+// minor units) always sum to zero. A positive amount increases the account's
+// balance, a negative amount decreases it.
+const lineSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  amount: { type: Number, required: true, validate: Number.isSafeInteger },
+}, { _id: false });
+
+const LedgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['payout', 'platform_fee', 'entry_fee', 'deposit', 'withdrawal', 'refund', 'adjustment', 'opening_balance'],
+    required: true,
+  },
+  currency: { type: String, required: true, uppercase: true },
+  lines: { type: [lineSchema], required: true },
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+  battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle' },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+LedgerEntrySchema.index({ 'lines.account': 1, currency: 1, createdAt: 1 });
+
+LedgerEntrySchema.pre('validate', function (next) {
+  const lines = this.lines || [];
+  if (lines.length < 2) return next(new Error('ledger entry needs at least two lines'));
+  const total = lines.reduce((sum, l) => sum + l.amount, 0);
+  if (total !== 0) return next(new Error(`unbalanced ledger entry (off by ${total} minor units)`));
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
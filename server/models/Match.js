@@ -1,26 +1,89 @@
 // models/Match.js
 const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
 
 const MatchSchema = new mongoose.Schema({
   battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle', required: true },
   entries: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Entry' }], // entries for this match
-  winnerEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', default: null },
+  winnerEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', default: null }, // 1st place
 
-  // financial fields
-  potUSD: { type: Number, default: 0 }, // total pot in dollars
-  winnerPayoutUSD: { type: Number, default: 0 },
-  platformCutUSD: { type: Number, default: 0 },
+  // placings paid by the prize structure (services/prizes.js), 1st place first;
+  // empty on matches from before multi-place prizes (winnerEntry takes it all)
+  prizeStructure: { type: [Number], default: undefined },
+  results: [{
+    _id: false,
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+    place: { type: Number, required: true },
+    share: { type: Number }, // percent of the prize money
+    payout: { type: MoneySchema },
+  }],
+
+  // how placings are decided: 'draw' (provably fair draw at matchmaking) or
+  // 'reported' (participants submit scores, see services/match-results.js).
+  // Only drawn, confirmed and resolved matches are paid out.
+  resultMode: { type: String, enum: ['draw', 'reported'], default: 'draw' },
+  resultStatus: { type: String, enum: ['drawn', 'pending', 'confirmed', 'disputed', 'resolved'], default: 'drawn' },
+  submissions: [{
+    _id: false,
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true }, // submitting participant
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    scores: [{ _id: false, entry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry' }, score: Number }],
+    evidenceUrl: { type: String },
+    submittedAt: { type: Date, default: Date.now },
+  }],
+  dispute: {
+    reason: { type: String },
+    openedAt: { type: Date },
+    resolvedAt: { type: Date },
+    note: { type: String }, // admin resolution note
+  },
+  resultConfirmedAt: { type: Date },
+  resultRevision: { type: Number, default: 0 }, // bumped on every result change, guards concurrent submissions
+
+  // financial fields (integer minor units, all in the battle's currency)
+  pot: { type: MoneySchema, default: () => ({}) }, // total pot
+  winnerPayout: { type: MoneySchema, default: () => ({}) }, // prize money for all placings (pot - platformCut)
+  platformCut: { type: MoneySchema, default: () => ({}) },
+
+  // fee rule in force at matchmaking (services/fees.js snapshot); amounts in minor units
+  feeRule: {
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeRule' }, // null for the built-in default
+    name: { type: String },
+    scope: { type: String },
+    currency: { type: String },
+    rate: { type: Number },
+    tiers: [{ _id: false, minPot: Number, rate: Number }],
+    minimum: { type: Number },
+    cap: { type: Number },
+    appliedRate: { type: Number },
+  },
 
   // payout tracking
   paid: { type: Boolean, default: false },
   payoutProcessed: { type: Boolean, default: false },
   payoutAt: { type: Date },
+  ratingPending: { type: Boolean }, // paid, not rated yet (services/ratings.js retries)
 
-  // randomization seed (for fair audit)
+  // provably fair draw (see services/fairness.js): seedHash is the battle's
+  // commitment from seedCommittedAt, seed is revealed after the draw and
+  // clientSeeds are the entrants' inputs in entries order. Legacy matches
+  // store "matchId|ts".
+  drawScheme: { type: String },
+  seedHash: { type: String },
+  seedCommittedAt: { type: Date },
   seed: { type: String },
+  clientSeeds: { type: [String], default: undefined },
+  seedRevealedAt: { type: Date },
+  drawnAt: { type: Date },
 
+  testTag: { type: String }, // marks seeded sample data (insert-test-data.js)
   createdAt: { type: Date, default: Date.now },
 });
 
+// admin match lists: filtered by battle / paid, paged by createdAt
+MatchSchema.index({ battle: 1, createdAt: -1 });
+MatchSchema.index({ paid: 1, createdAt: 1 });
+MatchSchema.index({ resultMode: 1, resultStatus: 1, createdAt: 1 });
+
 module.exports = mongoose.model('Match', MatchSchema);
 
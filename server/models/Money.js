@@ -0,0 +1,16 @@
+// models/Money.js
+// Reusable sub-schema (not a model) for integer minor-unit money, see lib/money.js.
+const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../lib/money');
+
+const MoneySchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    default: 0,
+    validate: { validator: Number.isSafeInteger, message: 'amount must be an integer of minor units' },
+  },
+  currency: { type: String, enum: Object.keys(CURRENCIES), default: DEFAULT_CURRENCY, uppercase: true },
+}, { _id: false });
+
+module.exports = MoneySchema;
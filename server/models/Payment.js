@@ -0,0 +1,27 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
+
+// One charge attempt with a payment provider (services/payments).
+const PaymentSchema = new mongoose.Schema({
+  provider: { type: String, required: true }, // pesapal, stripe, fake
+  purpose: { type: String, enum: ['entry_fee', 'deposit'], default: 'entry_fee' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  entry: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry' },
+  battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle' },
+  amount: { type: MoneySchema, required: true },
+  status: { type: String, enum: ['pending', 'completed', 'failed', 'reversed', 'invalid', 'expired'], default: 'pending' },
+  merchantReference: { type: String, required: true, unique: true }, // our id sent to the provider
+  providerRef: { type: String, index: true, sparse: true }, // Pesapal order_tracking_id / Stripe session id / fake ref
+  redirectUrl: { type: String },
+  providerStatus: { type: mongoose.Schema.Types.Mixed }, // last raw status response
+  expiresAt: { type: Date }, // provider-side expiry (Stripe Checkout session)
+  lastCheckedAt: { type: Date },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+PaymentSchema.index({ entry: 1, status: 1 });
+PaymentSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
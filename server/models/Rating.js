@@ -0,0 +1,16 @@
+// models/Rating.js
+const mongoose = require('mongoose');
+
+// A player's current skill rating in one sport (Elo, see services/ratings.js).
+const RatingSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sport: { type: String, required: true, lowercase: true },
+  rating: { type: Number, default: 1500 },
+  games: { type: Number, default: 0 }, // rated matches / games played
+  updatedAt: { type: Date, default: Date.now },
+});
+
+RatingSchema.index({ user: 1, sport: 1 }, { unique: true });
+RatingSchema.index({ sport: 1, rating: -1 });
+
+module.exports = mongoose.model('Rating', RatingSchema);
@@ -0,0 +1,24 @@
+// models/RatingHistory.js
+const mongoose = require('mongoose');
+
+// One rating change per player per rated result. `source` ("match:<id>" /
+// "game:<id>") is unique per user, so a result can never be rated twice.
+const RatingHistorySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sport: { type: String, required: true, lowercase: true },
+  source: { type: String, required: true },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+  game: { type: mongoose.Schema.Types.ObjectId, ref: 'Game' },
+  rank: { type: Number }, // 1 = best; tied players share a rank
+  players: { type: Number },
+  before: { type: Number, required: true },
+  after: { type: Number, required: true },
+  delta: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+RatingHistorySchema.index({ user: 1, source: 1 }, { unique: true });
+RatingHistorySchema.index({ source: 1 });
+RatingHistorySchema.index({ user: 1, sport: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RatingHistory', RatingHistorySchema);
@@ -1,16 +1,22 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
 
+// User-facing activity record; the money itself moves in the ledger (services/ledger.js).
 const TransactionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false }, // null for platform fees
   match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' }, // optional
-  amountUSD: { type: Number, required: true },
+  battle: { type: mongoose.Schema.Types.ObjectId, ref: 'Battle' }, // optional
+  amount: { type: MoneySchema, required: true },
   type: { 
     type: String, 
-    enum: ['payout','platform_fee','deposit','withdrawal','other'], 
+    enum: ['payout','platform_fee','entry_fee','deposit','withdrawal','refund','adjustment','other'], 
     default: 'payout' 
   },
   note: { type: String },
+  // unique per logical posting (e.g. "payout:<matchId>") so retries cannot double-credit
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  ledgerEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry' }, // balanced posting behind this record
   createdAt: { type: Date, default: Date.now }
 });
 
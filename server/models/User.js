@@ -1,21 +1,47 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { ROLES } = require('../lib/permissions');
 
 const UserSchema = new mongoose.Schema({
   name: { type: String },
   email: { type: String, unique: true, required: true },
   password: { type: String },
-  role: { type: String, default: 'user' },
-  balanceUSD: { type: Number, default: 0 },
-  verified: { type: Boolean, default: false },
+  role: { type: String, enum: ROLES, default: 'user' }, // staff roles: see lib/permissions.js
+  // balances live in the ledger (wallet:<userId>), see services/ledger.js
+  currency: { type: String, default: 'USD', uppercase: true }, // preferred display currency
+  verified: { type: Boolean, default: false }, // email confirmed, see services/accounts.js
+  verifiedAt: { type: Date },
+  verificationSentAt: { type: Date },
+  passwordChangedAt: { type: Date },
+  tokenVersion: { type: Number, default: 0 }, // bumped by a password reset, revokes older tokens (lib/tokens.js)
+  passwordResetSentAt: { type: Date }, // throttles reset emails
+  // staff two-factor authentication (services/two-factor.js); secrets and
+  // recovery code hashes are only loaded when explicitly selected
+  totp: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // set up but not yet confirmed
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes, each usable once
+    lastStep: { type: Number, select: false }, // last accepted time step, so codes are single-use
+    enrolledAt: { type: Date },
+  },
+  failedAuthAttempts: { type: Number, default: 0 }, // consecutive bad passwords / codes
+  lockedUntil: { type: Date },
+  testTag: { type: String }, // marks seeded sample data (insert-test-data.js)
   createdAt: { type: Date, default: Date.now }
 });
 
+// admin user list (lib/pagination.js sorts by createdAt, email or name)
+UserSchema.index({ createdAt: -1 });
+UserSchema.index({ testTag: 1 }, { sparse: true });
+
 // strip sensitive fields when converting to JSON (e.g. sending API responses)
 UserSchema.options.toJSON = UserSchema.options.toJSON || {};
 UserSchema.options.toJSON.transform = function (doc, ret) {
   // remove fields we never want sent to clients
   delete ret.password;
+  delete ret.tokenVersion;
+  if (ret.totp) ret.totp = { enabled: Boolean(ret.totp.enabled), enrolledAt: ret.totp.enrolledAt };
   // you can delete other internal fields here if desired, e.g. delete ret.__v;
   return ret;
 };
@@ -0,0 +1,44 @@
+// models/Withdrawal.js
+const mongoose = require('mongoose');
+const MoneySchema = require('./Money');
+
+// A player's cash-out request. The amount is reserved (moved from the wallet
+// to escrow:withdrawal:<id>) as soon as it is requested, see services/withdrawals.js.
+//
+//   pending -> processing -> completed
+//      |           |-> failed     (reserve released)
+//      |-> rejected / cancelled   (reserve released)
+const WithdrawalSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: MoneySchema, required: true },
+  destination: {
+    type: { type: String, enum: ['mobile_money'], default: 'mobile_money' },
+    phone: { type: String, required: true }, // E.164, e.g. +256700000000
+    network: { type: String }, // MTN, Airtel, M-Pesa, ...
+    name: { type: String }, // account holder name
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'rejected', 'cancelled', 'failed'],
+    default: 'pending',
+    index: true,
+  },
+  provider: { type: String }, // payout provider used on approval
+  providerRef: { type: String },
+  providerStatus: { type: mongoose.Schema.Types.Mixed }, // last raw provider response
+  // the payout call threw, so whether money was sent is unknown: stays
+  // processing until completed or failed after checking with the provider
+  payoutError: {
+    message: { type: String },
+    at: { type: Date },
+  },
+  reason: { type: String }, // rejection / failure reason shown to the player
+  reviewedAt: { type: Date },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+WithdrawalSchema.index({ user: 1, createdAt: -1 });
+WithdrawalSchema.index({ status: 1, createdAt: 1 }); // admin review queue
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
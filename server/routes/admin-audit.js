@@ -0,0 +1,82 @@
+// routes/admin-audit.js
+// The admin audit log (mounted at /admin/audit for admin and finance staff),
+// see services/audit.js. Filters: action (exact, comma-separated or "prefix.*"),
+// actor (email, user id, service, script), targetType, targetId, requestId,
+// from, to.
+//
+//   GET /?sort=-seq&limit=100&cursor=   newest first, see lib/pagination.js
+//   GET /export?format=csv|ndjson       matching entries oldest first, as a download
+//   GET /verify?from=1&limit=           re-check the hash chain
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const audit = require('../services/audit');
+const { sendError } = require('../lib/errors');
+const { parseList, paginate } = require('../lib/pagination');
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 50000;
+const CSV_COLUMNS = ['seq', 'at', 'actorKind', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'requestId', 'ip', 'before', 'after', 'meta', 'prevHash', 'hash'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value instanceof Date ? value.toISOString() : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(e) {
+  const actor = e.actor || {};
+  const target = e.target || {};
+  return [
+    e.seq, e.at, actor.kind, actor.email || actor.name, actor.role, e.action, target.type, target.id,
+    e.requestId, e.ip, e.before, e.after, e.meta, e.prevHash, e.hash,
+  ].map(csvCell).join(',');
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const list = parseList(req.query, { sorts: ['seq'], defaultSort: '-seq' });
+    const { items, ...page } = await paginate(AuditLog, audit.buildFilter(req.query), list);
+    return res.json({ ok: true, ...page, entries: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/audit');
+  }
+});
+
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv' && format !== 'ndjson') return res.status(400).json({ error: 'invalid_format', formats: ['csv', 'ndjson'] });
+    const q = audit.buildFilter(req.query);
+    const cursor = AuditLog.find(q).sort({ seq: 1 }).limit(EXPORT_LIMIT).lean().cursor();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+    if (format === 'csv') res.write(CSV_COLUMNS.join(',') + '\n');
+    for await (const entry of cursor) {
+      res.write((format === 'csv' ? csvRow(entry) : JSON.stringify(entry)) + '\n');
+    }
+    return res.end();
+  } catch (err) {
+    // once streaming has begun the status is gone; cut the download short
+    if (res.headersSent) {
+      console.error('Error in GET /admin/audit/export:', err);
+      return res.destroy(err);
+    }
+    return sendError(res, err, 'GET /admin/audit/export');
+  }
+});
+
+router.get('/verify', async (req, res) => {
+  try {
+    const from = Math.max(parseInt(req.query.from, 10) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit, 10) || 0, 0);
+    const result = await audit.verifyChain({ from, limit });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/audit/verify');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// routes/admin-auth.js
+// Staff login for the admin API (mounted at /admin/auth). Only users with a
+// staff role (lib/permissions.js) get an admin token; player tokens from
+// /auth/login are not accepted on /admin routes. Accounts with two-factor
+// authentication enabled also need a TOTP or recovery code to log in; repeated
+// failures lock the account (services/two-factor.js).
+//
+//   POST /login { email, password, code? }
+//   GET  /me
+//   POST /2fa/setup { password } new secret, otpauth:// URI and recovery codes
+//   POST /2fa/enable  { code }   confirm the authenticator app
+//   POST /2fa/disable { code }
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const requireAdmin = require('../middleware/require-admin');
+const { signAdminToken } = require('../lib/tokens');
+const { STAFF_ROLES, PERMISSIONS } = require('../lib/permissions');
+const twoFactor = require('../services/two-factor');
+const audit = require('../services/audit');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// POST /admin/auth/login { email, password, code? }
+router.post('/login', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const password = typeof body.password === 'string' ? body.password : '';
+
+    const user = email ? await User.findOne({ email }) : null;
+    if (user && twoFactor.isLocked(user)) throw twoFactor.lockedError(user);
+    const ok = user && user.password ? await bcrypt.compare(password, user.password) : false;
+    if (!ok) {
+      if (user && STAFF_ROLES.includes(user.role)) {
+        const after = await twoFactor.recordFailure(user._id);
+        if (after && twoFactor.isLocked(after)) throw twoFactor.lockedError(after);
+      }
+      return res.status(401).json({ error: 'invalid_credentials' });
+    }
+    if (!STAFF_ROLES.includes(user.role)) return res.status(403).json({ error: 'not_staff' });
+
+    let secondFactor = null;
+    if (user.totp && user.totp.enabled) {
+      if (!body.code) return res.status(401).json({ error: 'totp_required', message: 'Enter the code from your authenticator app or a recovery code' });
+      secondFactor = await twoFactor.verifyCode(user._id, String(body.code), { allowRecovery: true });
+    } else {
+      await twoFactor.recordSuccess(user);
+    }
+
+    await audit.recordRequest(req, 'staff.login', { type: 'user', id: user._id }, {
+      actor: audit.userActor(user),
+      meta: { secondFactor: secondFactor && secondFactor.method },
+    });
+    return res.json({ ok: true, token: signAdminToken(user), user, secondFactor, totpEnabled: Boolean(user.totp && user.totp.enabled) });
+  } catch (err) {
+    return sendError(res, err, '/admin/auth/login');
+  }
+});
+
+// GET /admin/auth/me — the signed-in staff user and what their role may do
+router.get('/me', requireAdmin('read'), (req, res) => {
+  const permissions = Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(req.admin.role));
+  return res.json({ ok: true, user: req.admin.user, role: req.admin.role, permissions });
+});
+
+router.post('/2fa/setup', requireAdmin('read'), async (req, res) => {
+  try {
+    const enrollment = await twoFactor.startEnrollment(req.admin.user._id, req.body && req.body.password);
+    return res.json({ ok: true, ...enrollment, message: 'Scan the URI, then confirm with POST /admin/auth/2fa/enable. Store the recovery codes now; they are not shown again.' });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/auth/2fa/setup');
+  }
+});
+
+router.post('/2fa/enable', requireAdmin('read'), async (req, res) => {
+  try {
+    const result = await twoFactor.confirmEnrollment(req.admin.user._id, req.body && req.body.code);
+    await audit.recordRequest(req, 'staff.totp_enable', { type: 'user', id: req.admin.user._id }, { before: { enabled: false }, after: { enabled: true } });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/auth/2fa/enable');
+  }
+});
+
+router.post('/2fa/disable', requireAdmin('read'), async (req, res) => {
+  try {
+    const result = await twoFactor.disable(req.admin.user._id, req.body && req.body.code);
+    await audit.recordRequest(req, 'staff.totp_disable', { type: 'user', id: req.admin.user._id }, { before: { enabled: true }, after: { enabled: false } });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/auth/2fa/disable');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// routes/admin-battles.js
+// Battle lifecycle actions (mounted at /admin/battles for admin and support staff).
+// State changes go through services/battle-lifecycle.js, so invalid moves
+// answer 409 invalid_transition.
+//
+//   POST /:id/close              open -> closed (ready for matchmaking)
+//   POST /:id/cancel { reason }  open / closed -> cancelled, refunds paid entrants
+const express = require('express');
+const mongoose = require('mongoose');
+const Battle = require('../models/Battle');
+const lifecycle = require('../services/battle-lifecycle');
+const audit = require('../services/audit');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// state before the change, for the audit log (the transition itself is atomic)
+async function stateOf(id) {
+  const battle = mongoose.isValidObjectId(id) ? await Battle.findById(id).select('state').lean() : null;
+  return battle ? { state: battle.state } : undefined;
+}
+
+router.post('/:id/close', async (req, res) => {
+  try {
+    const before = await stateOf(req.params.id);
+    const battle = await lifecycle.transition(req.params.id, 'closed');
+    await audit.recordRequest(req, 'battle.close', { type: 'battle', id: battle._id }, { before, after: { state: battle.state } });
+    return res.json({ ok: true, battle });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/battles/:id/close');
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const before = await stateOf(req.params.id);
+    const reason = req.body && req.body.reason;
+    const { battle, refunded, errors } = await lifecycle.cancelBattle(req.params.id, reason);
+    await audit.recordRequest(req, 'battle.cancel', { type: 'battle', id: battle._id }, {
+      before,
+      after: { state: battle.state, refunded, errors },
+      meta: { reason },
+    });
+    return res.json({ ok: errors.length === 0, battle, refunded, errors });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/battles/:id/cancel');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// routes/admin-fee-rules.js
+// Platform fee rules (mounted at /admin/fee-rules for admin and finance staff),
+// see services/fees.js. Rates are fractions (0.15 = 15%); minimum, cap and
+// tiers[].minPot are given in major units of the rule's currency, like entry fees.
+//
+//   GET    /?active=true
+//   POST   /            { name, scope, sport?, battle?, currency?, rate, tiers?, minimum?, cap? }
+//   PATCH  /:id         same fields, partial
+//   DELETE /:id         deactivates the rule (kept for history)
+//   GET    /preview?battleId=...&entrants=2   rule and split matchmaking would use now
+const express = require('express');
+const mongoose = require('mongoose');
+const FeeRule = require('../models/FeeRule');
+const Battle = require('../models/Battle');
+const fees = require('../services/fees');
+const audit = require('../services/audit');
+const { computeSplit } = require('../services/matchmaking');
+const money = require('../lib/money');
+const { AppError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const FIELDS = ['name', 'scope', 'sport', 'battle', 'currency', 'rate', 'tiers', 'minimum', 'cap', 'active'];
+
+function parseRate(value, field) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 1) throw new AppError(400, 'invalid_rate', `${field} must be between 0 and 1`);
+  return n;
+}
+
+// Request body -> FeeRule fields (amounts converted to minor units).
+function parseRule(body, existing) {
+  const out = {};
+  for (const f of FIELDS) if (body[f] !== undefined) out[f] = body[f];
+
+  if (out.battle !== undefined && out.battle !== null && !mongoose.isValidObjectId(out.battle)) {
+    throw new AppError(400, 'invalid_battle_id');
+  }
+  if (out.currency) out.currency = money.normalizeCurrency(out.currency);
+  const currency = out.currency || (existing && existing.currency);
+  const amount = (v) => {
+    if (v === null || v === '') return null;
+    if (!currency) throw new AppError(400, 'currency_required', 'currency is required when tiers, minimum or cap are set');
+    return money.fromMajor(v, currency).amount;
+  };
+
+  if (out.rate !== undefined) out.rate = parseRate(out.rate, 'rate');
+  if (out.minimum !== undefined) out.minimum = amount(out.minimum);
+  if (out.cap !== undefined) out.cap = amount(out.cap);
+  if (out.tiers !== undefined) {
+    if (!Array.isArray(out.tiers)) throw new AppError(400, 'tiers_must_be_array');
+    out.tiers = out.tiers.map(t => ({ minPot: amount(t && t.minPot), rate: parseRate(t && t.rate, 'tiers[].rate') }));
+  }
+  return out;
+}
+
+function sendRuleError(res, err, where) {
+  if (err && err.name === 'ValidationError') return res.status(400).json({ error: 'invalid_rule', message: err.message });
+  return sendError(res, err, where);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const q = {};
+    if (req.query.active !== undefined) q.active = req.query.active === 'true';
+    const rules = await FeeRule.find(q).sort({ scope: 1, updatedAt: -1 }).lean();
+    return res.json({ ok: true, default: fees.DEFAULT_RULE, rules });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/fee-rules');
+  }
+});
+
+router.get('/preview', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.query.battleId)) return res.status(400).json({ error: 'invalid_battle_id' });
+    const battle = await Battle.findById(req.query.battleId).lean();
+    if (!battle) return res.status(404).json({ error: 'not_found' });
+    const entrants = Math.max(parseInt(req.query.entrants, 10) || battle.matchSize || 2, 1);
+    const rule = await fees.resolveFeeRule(battle);
+    const fee = battle.entryFee || money.zero();
+    const split = computeSplit(money.money(fee.amount, fee.currency), entrants, rule);
+    return res.json({ ok: true, rule: fees.snapshot(rule), entrants, ...split });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/fee-rules/preview');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const rule = await FeeRule.create(parseRule(req.body || {}));
+    await audit.recordRequest(req, 'fee_rule.create', { type: 'fee_rule', id: rule._id }, { after: rule });
+    return res.status(201).json({ ok: true, rule });
+  } catch (err) {
+    return sendRuleError(res, err, 'POST /admin/fee-rules');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const rule = await FeeRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'not_found' });
+    const before = rule.toObject();
+    rule.set(parseRule(req.body || {}, rule));
+    rule.updatedAt = new Date();
+    await rule.save();
+    await audit.recordRequest(req, 'fee_rule.update', { type: 'fee_rule', id: rule._id }, { before, after: rule });
+    return res.json({ ok: true, rule });
+  } catch (err) {
+    return sendRuleError(res, err, 'PATCH /admin/fee-rules/:id');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const rule = await FeeRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'not_found' });
+    const before = { active: rule.active };
+    rule.active = false;
+    rule.updatedAt = new Date();
+    await rule.save();
+    await audit.recordRequest(req, 'fee_rule.deactivate', { type: 'fee_rule', id: rule._id }, { before, after: { active: false } });
+    return res.json({ ok: true, rule });
+  } catch (err) {
+    return sendError(res, err, 'DELETE /admin/fee-rules/:id');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// routes/admin-match-results.js
+// Reported match results awaiting an admin (mounted at /admin/matches for admin and
+// support staff), see services/match-results.js.
+//
+//   GET  /unresolved?status=disputed&battle=&from=&to=&sort=createdAt&limit=&cursor=
+//                                              pending / disputed reported matches, oldest first
+//   POST /:id/resolve { scores | ranking, note? }   decide the result; the match becomes payable
+const express = require('express');
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const matchResults = require('../services/match-results');
+const audit = require('../services/audit');
+const { sendError } = require('../lib/errors');
+const { parseList, paginate, dateRange, objectIdParam } = require('../lib/pagination');
+
+const router = express.Router();
+
+const AUDITED = ['resultStatus', 'results', 'winnerEntry', 'dispute'];
+
+router.get('/unresolved', async (req, res) => {
+  try {
+    const list = parseList(req.query, { sorts: ['createdAt', 'dispute.openedAt'], defaultSort: 'createdAt' });
+    const q = Object.assign(dateRange(req.query), matchResults.unresolvedFilter({ status: req.query.status }));
+    const battle = objectIdParam(req.query.battle, 'battle');
+    if (battle) q.battle = battle;
+    const { items, ...page } = await paginate(Match, q, list, { select: '-seed' });
+    return res.json({ ok: true, ...page, matches: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/matches/unresolved');
+  }
+});
+
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const before = mongoose.isValidObjectId(req.params.id) ? await Match.findById(req.params.id).select(AUDITED.join(' ')).lean() : null;
+    const match = await matchResults.resolveResult(req.params.id, { scores: body.scores, ranking: body.ranking, note: body.note });
+    await audit.recordRequest(req, 'match.resolve_result', { type: 'match', id: match._id }, {
+      before: audit.pick(before, AUDITED),
+      after: audit.pick(match, AUDITED),
+    });
+    return res.json({ ok: true, resultStatus: match.resultStatus, match });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/matches/:id/resolve');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// routes/admin-users.js
+// Staff and account management (mounted at /admin/users, next to the user
+// list in index.js). Roles are listed in lib/permissions.js.
+//
+//   GET   /staff                 users with a staff role
+//   PATCH /:id/role { role }     grant or revoke a role ('user' revokes)       [users]
+//   POST  /:id/unlock            lift a failed-login lockout                   [users]
+//   POST  /:id/adjustments { amount, currency, reason, reference? }
+//         signed amount in major units; needs x-totp-code                    [payouts]
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { permit, requireFreshTotp, actorLabel } = require('../middleware/require-admin');
+const twoFactor = require('../services/two-factor');
+const audit = require('../services/audit');
+const wallet = require('../services/wallet');
+const money = require('../lib/money');
+const { ROLES, STAFF_ROLES } = require('../lib/permissions');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.get('/staff', async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: STAFF_ROLES } }).sort({ role: 1, email: 1 });
+    return res.json({ ok: true, staff });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/users/staff');
+  }
+});
+
+router.patch('/:id/role', permit('users'), async (req, res) => {
+  try {
+    const role = req.body && req.body.role;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role', allowed: ROLES });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    // keeps the last admin from locking everyone out by accident
+    if (req.admin.user && String(req.admin.user._id) === req.params.id) {
+      return res.status(409).json({ error: 'cannot_change_own_role' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'not_found' });
+    const before = { role: user.role };
+    user.role = role;
+    await user.save();
+    await audit.recordRequest(req, 'user.role', { type: 'user', id: user._id }, { before, after: { role } });
+    return res.json({ ok: true, user });
+  } catch (err) {
+    return sendError(res, err, 'PATCH /admin/users/:id/role');
+  }
+});
+
+router.post('/:id/unlock', permit('users'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const before = await User.findById(req.params.id).select('failedAuthAttempts lockedUntil').lean();
+    const user = await twoFactor.unlock(req.params.id);
+    await audit.recordRequest(req, 'user.unlock', { type: 'user', id: user._id }, { before: audit.pick(before, ['failedAuthAttempts', 'lockedUntil']) });
+    return res.json({ ok: true, user });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/users/:id/unlock');
+  }
+});
+
+router.post('/:id/adjustments', permit('payouts'), requireFreshTotp(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const user = await User.findById(req.params.id).select('_id currency').lean();
+    if (!user) return res.status(404).json({ error: 'not_found' });
+    if (body.amount === undefined || body.amount === '') return res.status(400).json({ error: 'amount_required' });
+
+    const negative = Number(body.amount) < 0;
+    const magnitude = money.fromMajor(Math.abs(Number(body.amount)), body.currency || user.currency);
+    const amount = money.money(negative ? -magnitude.amount : magnitude.amount, magnitude.currency);
+    const reference = body.reference ? String(body.reference) : crypto.randomUUID();
+
+    const result = await wallet.adjustBalance(user._id, amount, { reason: body.reason, reference, actor: actorLabel(req) });
+    await audit.recordRequest(req, 'user.adjust_balance', { type: 'user', id: user._id }, {
+      after: { adjusted: result.adjusted, transaction: result.transaction._id },
+      meta: { reason: body.reason, reference },
+    });
+    return res.status(201).json({ ok: true, reference, ...result });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/users/:id/adjustments');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+// routes/admin-withdrawals.js
+// Withdrawal review queue (mounted at /admin/withdrawals for finance staff).
+//
+//   GET  /?status=pending&user=&from=&to=&sort=createdAt&limit=&cursor=
+//                                     queue, oldest first (status=all for everything;
+//                                     user: id or email); see lib/pagination.js
+//   GET  /:id
+//   POST /:id/approve                 pay out through PAYOUT_PROVIDER (x-totp-code)
+//   POST /:id/reject   { reason }     release the reserved funds
+//   POST /:id/complete { reference }  confirm a processing payout (manual provider, or one
+//                                     with a payoutError the provider says was sent; x-totp-code)
+//   POST /:id/fail     { reason }     a processing payout did not arrive; release funds
+const express = require('express');
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/Withdrawal');
+const User = require('../models/User');
+const withdrawals = require('../services/withdrawals');
+const audit = require('../services/audit');
+const { requireFreshTotp } = require('../middleware/require-admin');
+const { sendError } = require('../lib/errors');
+const { parseList, paginate, dateRange } = require('../lib/pagination');
+
+const router = express.Router();
+
+const STATUSES = Withdrawal.schema.path('status').enumValues;
+const AUDITED = ['status', 'user', 'amount', 'provider', 'providerRef', 'reason', 'payoutError'];
+
+// Run a review action and record it in the audit log with the status before.
+async function review(req, action, fn) {
+  const before = mongoose.isValidObjectId(req.params.id) ? await Withdrawal.findById(req.params.id).lean() : null;
+  const withdrawal = await fn();
+  await audit.recordRequest(req, action, { type: 'withdrawal', id: withdrawal._id }, {
+    before: audit.pick(before, AUDITED),
+    after: audit.pick(withdrawal, AUDITED),
+  });
+  return withdrawal;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) return res.status(400).json({ error: 'invalid_status', statuses: STATUSES });
+    const list = parseList(req.query, { sorts: ['createdAt', 'reviewedAt'], defaultSort: 'createdAt' });
+    const q = dateRange(req.query);
+    if (status !== 'all') q.status = status;
+    if (req.query.user) {
+      const who = String(req.query.user).trim();
+      const user = mongoose.isValidObjectId(who) ? { _id: who } : await User.findOne({ email: who.toLowerCase() }).select('_id').lean();
+      q.user = user ? user._id : { $in: [] };
+    }
+    const { items, ...page } = await paginate(Withdrawal, q, list, { populate: { path: 'user', select: 'name email' } });
+    return res.json({ ok: true, ...page, count: items.length, withdrawals: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/withdrawals');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const withdrawal = await Withdrawal.findById(req.params.id).populate('user', 'name email').lean();
+    if (!withdrawal) return res.status(404).json({ error: 'not_found' });
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/withdrawals/:id');
+  }
+});
+
+router.post('/:id/approve', requireFreshTotp(), async (req, res) => {
+  try {
+    const withdrawal = await review(req, 'withdrawal.approve', () => withdrawals.approveWithdrawal(req.params.id));
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/withdrawals/:id/approve');
+  }
+});
+
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const withdrawal = await review(req, 'withdrawal.reject', () => withdrawals.rejectWithdrawal(req.params.id, req.body && req.body.reason));
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/withdrawals/:id/reject');
+  }
+});
+
+router.post('/:id/complete', requireFreshTotp(), async (req, res) => {
+  try {
+    const withdrawal = await review(req, 'withdrawal.complete', () => withdrawals.completeWithdrawal(req.params.id, { reference: req.body && req.body.reference }));
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/withdrawals/:id/complete');
+  }
+});
+
+router.post('/:id/fail', async (req, res) => {
+  try {
+    const withdrawal = await review(req, 'withdrawal.fail', () => withdrawals.failWithdrawal(req.params.id, req.body && req.body.reason));
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/withdrawals/:id/fail');
+  }
+});
+
+module.exports = router;
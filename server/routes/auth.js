@@ -0,0 +1,134 @@
+// routes/auth.js
+// Player registration / login, email verification and password reset
+// (services/accounts.js). Passwords are bcrypt-hashed into User.password;
+// responses rely on the User toJSON transform to strip the hash.
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const requireUser = require('../middleware/require-user');
+const accounts = require('../services/accounts');
+const { signUserToken } = require('../lib/tokens');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// POST /auth/register { name, email, password }
+router.post('/register', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const email = normalizeEmail(body.email);
+    const password = typeof body.password === 'string' ? body.password : '';
+    const name = typeof body.name === 'string' ? body.name.trim() : undefined;
+
+    if (!EMAIL_RE.test(email)) {
+      return res.status(400).json({ error: 'invalid_email' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: 'weak_password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existing = await User.findOne({ email });
+    if (existing) return res.status(409).json({ error: 'email_taken' });
+
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const user = await User.create({ name, email, password: hash });
+
+    // the account works without it; the link can be re-sent from /auth/resend-verification
+    try {
+      await accounts.sendVerification(user, { force: true });
+    } catch (err) {
+      console.error('Verification email failed for', email, err);
+    }
+
+    return res.status(201).json({ ok: true, token: signUserToken(user), user });
+  } catch (err) {
+    // unique index race: two registrations for the same email at once
+    if (err && err.code === 11000) return res.status(409).json({ error: 'email_taken' });
+    console.error('Error in /auth/register:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// POST /auth/login { email, password }
+router.post('/login', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const email = normalizeEmail(body.email);
+    const password = typeof body.password === 'string' ? body.password : '';
+
+    const user = email ? await User.findOne({ email }) : null;
+    // users seeded without a password (insert-test-data.js) can never log in
+    const ok = user && user.password ? await bcrypt.compare(password, user.password) : false;
+    if (!ok) return res.status(401).json({ error: 'invalid_credentials' });
+
+    return res.json({ ok: true, token: signUserToken(user), user });
+  } catch (err) {
+    console.error('Error in /auth/login:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /auth/me
+router.get('/me', requireUser, (req, res) => {
+  return res.json({ ok: true, user: req.user });
+});
+
+// POST /auth/verify-email { token } (GET ?token= for links opened directly)
+async function verifyEmail(req, res) {
+  try {
+    const token = (req.body && req.body.token) || req.query.token;
+    const user = await accounts.verifyEmail(token);
+    return res.json({ ok: true, user });
+  } catch (err) {
+    return sendError(res, err, '/auth/verify-email');
+  }
+}
+router.post('/verify-email', verifyEmail);
+router.get('/verify-email', verifyEmail);
+
+// POST /auth/resend-verification
+router.post('/resend-verification', requireUser, async (req, res) => {
+  try {
+    await accounts.sendVerification(req.user);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, err, '/auth/resend-verification');
+  }
+});
+
+// POST /auth/forgot-password { email } — same answer whether or not the account exists
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'invalid_email' });
+    await accounts.requestPasswordReset(email);
+    return res.json({ ok: true, message: 'If that address has an account, a reset link is on its way' });
+  } catch (err) {
+    return sendError(res, err, '/auth/forgot-password');
+  }
+});
+
+// POST /auth/reset-password { token, password }
+router.post('/reset-password', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const password = typeof body.password === 'string' ? body.password : '';
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: 'weak_password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const user = await accounts.resetPassword(body.token, password);
+    return res.json({ ok: true, token: signUserToken(user), user });
+  } catch (err) {
+    return sendError(res, err, '/auth/reset-password');
+  }
+});
+
+module.exports = router;
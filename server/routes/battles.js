@@ -0,0 +1,222 @@
+// routes/battles.js
+// Public battles API: players create battles, browse open ones, join and see entrants.
+const express = require('express');
+const mongoose = require('mongoose');
+const Battle = require('../models/Battle');
+const Entry = require('../models/Entry');
+const requireUser = require('../middleware/require-user');
+const money = require('../lib/money');
+const { AppError, sendError } = require('../lib/errors');
+const payments = require('../services/payments');
+const { payEntryFromWallet, WALLET } = require('../services/entry-fees');
+const { parsePrizeStructure } = require('../services/prizes');
+const fairness = require('../services/fairness');
+const accounts = require('../services/accounts');
+
+const router = express.Router();
+
+const MAX_LIST = 100;
+const MAX_MATCH_SIZE = 64;
+
+// Entry fee from a request: { entryFee: 5000, currency: 'UGX' } in major units,
+// or the legacy { entryFeeUSD: 5 }. Returns undefined when neither is given.
+function parseEntryFee(src) {
+  const legacy = src.entryFee === undefined && src.entryFeeUSD !== undefined;
+  const value = legacy ? src.entryFeeUSD : src.entryFee;
+  if (value === undefined || value === '') return undefined;
+  const fee = money.fromMajor(value, legacy ? 'USD' : src.currency);
+  if (fee.amount < 0) throw new AppError(400, 'invalid_entry_fee');
+  return fee;
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// POST /battles/create { title, sport, entryFee, currency, startAt, matchSize?, prizeStructure?, matchmakingMode?, resultMode? }
+// (entryFeeUSD still accepted). prizeStructure is % per place, e.g. [60, 30, 10];
+// matchmakingMode 'rating' groups entrants of similar rating; resultMode
+// 'reported' lets participants report scores instead of drawing placings.
+// Drawn battles publish their draw commitment (drawSeedHash) right away.
+router.post('/create', requireUser, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return res.status(400).json({ error: 'title_required' });
+
+    const entryFee = parseEntryFee(body);
+
+    const startAt = parseDate(body.startAt);
+    if (startAt === undefined) return res.status(400).json({ error: 'invalid_start_at' });
+
+    let matchSize;
+    if (body.matchSize !== undefined) {
+      matchSize = Number(body.matchSize);
+      if (!Number.isInteger(matchSize) || matchSize < 2 || matchSize > MAX_MATCH_SIZE) {
+        return res.status(400).json({ error: 'invalid_match_size', max: MAX_MATCH_SIZE });
+      }
+    }
+    const prizeStructure = body.prizeStructure !== undefined
+      ? parsePrizeStructure(body.prizeStructure, matchSize || Battle.schema.path('matchSize').defaultValue)
+      : undefined;
+    const matchmakingMode = body.matchmakingMode;
+    if (matchmakingMode !== undefined && !Battle.schema.path('matchmakingMode').enumValues.includes(matchmakingMode)) {
+      return res.status(400).json({ error: 'invalid_matchmaking_mode' });
+    }
+    const resultMode = body.resultMode;
+    if (resultMode !== undefined && !Battle.schema.path('resultMode').enumValues.includes(resultMode)) {
+      return res.status(400).json({ error: 'invalid_result_mode' });
+    }
+
+    const battle = await Battle.create({
+      title,
+      sport: typeof body.sport === 'string' && body.sport.trim() ? body.sport.trim().toLowerCase() : undefined,
+      entryFee,
+      startAt: startAt || undefined,
+      matchSize,
+      prizeStructure,
+      matchmakingMode,
+      resultMode,
+      createdBy: req.user._id,
+      ...(resultMode === 'reported' ? {} : fairness.commitment()),
+    });
+
+    const { drawSeed, ...shown } = battle.toObject();
+    return res.status(201).json({ ok: true, battle: shown });
+  } catch (err) {
+    return sendError(res, err, 'POST /battles/create');
+  }
+});
+
+// GET /battles?sport=car&entryFee=5&currency=USD&startAfter=...&startBefore=...
+// Lists open battles, soonest first.
+router.get('/', async (req, res) => {
+  try {
+    const q = { state: 'open' };
+    if (req.query.sport) q.sport = String(req.query.sport).toLowerCase();
+
+    const fee = parseEntryFee(req.query);
+    if (fee) {
+      q['entryFee.amount'] = fee.amount;
+      q['entryFee.currency'] = fee.currency;
+    } else if (req.query.currency) {
+      q['entryFee.currency'] = money.normalizeCurrency(req.query.currency);
+    }
+
+    const after = parseDate(req.query.startAfter);
+    const before = parseDate(req.query.startBefore);
+    if (after === undefined || before === undefined) return res.status(400).json({ error: 'invalid_start_at' });
+    if (after || before) {
+      q.startAt = {};
+      if (after) q.startAt.$gte = after;
+      if (before) q.startAt.$lte = before;
+    }
+
+    const battles = await Battle.find(q).sort({ startAt: 1 }).limit(MAX_LIST).lean();
+    return res.json({ ok: true, battles });
+  } catch (err) {
+    return sendError(res, err, 'GET /battles');
+  }
+});
+
+// GET /battles/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const battle = await Battle.findById(req.params.id).lean();
+    if (!battle) return res.status(404).json({ error: 'not_found' });
+    const entryCount = await Entry.countDocuments({ battle: battle._id });
+    return res.json({ ok: true, battle, entryCount });
+  } catch (err) {
+    console.error('Error in GET /battles/:id:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// POST /battles/:id/join { paymentMethod?, clientSeed? } — one entry per user, only while the battle is open.
+// clientSeed (1-64 of A-Z a-z 0-9 _ -) is the entrant's input to the draw,
+// unknown to the server when it committed; a random one is used without it.
+// paymentMethod 'wallet' pays the fee from the wallet balance; any enabled
+// provider (see GET /payments/providers) opens a checkout and returns its
+// redirectUrl. If the payment cannot be made the entry is removed again, so
+// e.g. insufficient_funds leaves the player free to retry. Paid battles need a
+// verified email address.
+router.post('/:id/join', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const battle = await Battle.findById(req.params.id);
+    if (!battle) return res.status(404).json({ error: 'not_found' });
+    if (battle.state !== 'open') {
+      return res.status(409).json({ error: 'battle_not_open', state: battle.state });
+    }
+
+    const clientSeed = fairness.clientSeed(req.body && req.body.clientSeed);
+    if (clientSeed === undefined) return res.status(400).json({ error: 'invalid_client_seed' });
+
+    const existing = await Entry.findOne({ battle: battle._id, user: req.user._id });
+    if (existing) return res.status(409).json({ error: 'already_joined', entry: existing });
+
+    const fee = battle.entryFee || money.zero();
+    if (fee.amount > 0) accounts.assertVerified(req.user);
+    const entry = await Entry.create({
+      battle: battle._id,
+      user: req.user._id,
+      fee: { amount: fee.amount, currency: fee.currency },
+      clientSeed,
+      // free battles need no payment step
+      paid: !(fee.amount > 0),
+    });
+
+    const paymentMethod = req.body && req.body.paymentMethod;
+    if (paymentMethod === WALLET && !entry.paid) {
+      try {
+        const paid = await payEntryFromWallet(req.user, entry._id);
+        return res.status(201).json({ ok: true, entry: paid.entry });
+      } catch (err) {
+        await Entry.deleteOne({ _id: entry._id, paid: false });
+        throw err;
+      }
+    }
+
+    if (paymentMethod && !entry.paid) {
+      try {
+        const { payment, redirectUrl } = await payments.checkoutEntry(req.user, entry._id, { provider: paymentMethod });
+        const fresh = await Entry.findById(entry._id);
+        return res.status(201).json({ ok: true, entry: fresh || entry, paymentId: payment._id, paymentStatus: payment.status, redirectUrl });
+      } catch (err) {
+        await Entry.deleteOne({ _id: entry._id, paid: false });
+        throw err;
+      }
+    }
+
+    return res.status(201).json({ ok: true, entry });
+  } catch (err) {
+    // unique (battle, user) index: concurrent double-join
+    if (err && err.code === 11000) return res.status(409).json({ error: 'already_joined' });
+    return sendError(res, err, 'POST /battles/:id/join');
+  }
+});
+
+// GET /battles/:id/entries — public list of who has entered
+router.get('/:id/entries', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const battle = await Battle.findById(req.params.id).lean();
+    if (!battle) return res.status(404).json({ error: 'not_found' });
+
+    const entries = await Entry.find({ battle: battle._id })
+      .sort({ createdAt: 1 })
+      .populate('user', 'name') // public: never expose emails or balances
+      .select('user paid locked createdAt')
+      .lean();
+
+    return res.json({ ok: true, battleId: battle._id, count: entries.length, entries });
+  } catch (err) {
+    console.error('Error in GET /battles/:id/entries:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// routes/fake-payments.js
+// Hosted page of the in-process fake provider (mounted at /payments/fake).
+// Only answers when "fake" is in PAYMENT_PROVIDERS.
+//
+//   GET  /pay/:ref            tiny page with Pay / Fail buttons
+//   POST /pay/:ref            { outcome: completed|failed } -> settles the payment
+const express = require('express');
+const payments = require('../services/payments');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.use((req, res, next) => (payments.isEnabled('fake') ? next() : res.status(404).json({ error: 'not_found' })));
+
+router.get('/pay/:ref', (req, res) => {
+  const ref = encodeURIComponent(req.params.ref);
+  res.type('html').send(`<!doctype html><title>Fake payment</title>
+<h1>Fake payment</h1><p>${ref}</p>
+<form method="post" action="/payments/fake/pay/${ref}"><button name="outcome" value="completed">Pay</button> <button name="outcome" value="failed">Fail</button></form>`);
+});
+
+router.post('/pay/:ref', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const [payment] = await payments.handleCallback('fake', req);
+    if (!payment) return res.status(404).json({ error: 'not_found' });
+    return res.json({ ok: true, paymentId: payment._id, status: payment.status });
+  } catch (err) {
+    return sendError(res, err, 'POST /payments/fake/pay/:ref');
+  }
+});
+
+module.exports = router;
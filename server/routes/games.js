@@ -1,27 +1,310 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const ratings = require('../services/ratings');
+const brackets = require('../services/brackets');
+const audit = require('../services/audit');
+const { parseList, paginate, dateRange, searchRegex } = require('../lib/pagination');
+const { AppError, sendError } = require('../lib/errors');
+
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  return res.json([]);
+// what the audit log keeps of a game before / after a change
+const AUDITED = ['status', 'players', 'winner', 'tiedPlayers'];
+const gameTarget = game => ({ type: 'game', id: game._id });
+
+// allowed status transitions: pending -> active -> completed
+const TRANSITIONS = {
+  pending: ['active'],
+  active: ['completed'],
+  completed: [],
+};
+
+async function loadGame(id) {
+  if (!mongoose.isValidObjectId(id)) throw new AppError(404, 'not_found');
+  const game = await Game.findById(id);
+  if (!game) throw new AppError(404, 'not_found');
+  return game;
+}
+
+// Accepts ['Alice', ...] or [{ username, score, user }, ...] (user: optional
+// account id, needed for ratings); rejects duplicates (case-insensitive)
+// within the payload.
+function normalizePlayers(list) {
+  if (!Array.isArray(list)) throw new AppError(400, 'players_must_be_array');
+  const seen = new Set();
+  return list.map(p => {
+    const username = String(typeof p === 'string' ? p : (p && p.username) || '').trim();
+    if (!username) throw new AppError(400, 'username_required');
+    const key = username.toLowerCase();
+    if (seen.has(key)) throw new AppError(409, 'duplicate_player', 'Player listed twice', { username });
+    seen.add(key);
+    const score = p && typeof p === 'object' && p.score !== undefined ? Number(p.score) : undefined;
+    if (score !== undefined && !Number.isFinite(score)) throw new AppError(400, 'invalid_score', 'Score must be a number', { username });
+    const user = p && typeof p === 'object' && p.user ? p.user : undefined;
+    if (user !== undefined && !mongoose.isValidObjectId(user)) throw new AppError(400, 'invalid_user_id', 'user is not a valid id', { username });
+    return { username, score, user };
+  });
+}
+
+// Apply score updates to existing players; unknown usernames are rejected.
+function applyScores(game, updates) {
+  for (const u of updates) {
+    const player = game.players.find(p => p.username.toLowerCase() === u.username.toLowerCase());
+    if (!player) throw new AppError(400, 'unknown_player', 'Player is not in this game', { username: u.username });
+    if (u.score !== undefined) player.score = u.score;
+  }
+}
+
+// Highest score wins; several players on the top score is a tie.
+function computeResult(players) {
+  if (!players.length) return { winner: null, tiedPlayers: [] };
+  const top = Math.max(...players.map(p => p.score || 0));
+  const leaders = players.filter(p => (p.score || 0) === top).map(p => p.username);
+  return leaders.length === 1 ? { winner: leaders[0], tiedPlayers: [] } : { winner: null, tiedPlayers: leaders };
+}
+
+// { format, seeding } for a new tournament game; defaults single / random.
+function parseBracketOptions(body) {
+  const format = body.format === undefined ? 'single' : body.format;
+  const seeding = body.seeding === undefined ? 'random' : body.seeding;
+  if (!brackets.FORMATS.includes(format)) throw new AppError(400, 'invalid_format', 'Unknown bracket format', { allowed: brackets.FORMATS });
+  if (!brackets.SEEDINGS.includes(seeding)) throw new AppError(400, 'invalid_seeding', 'Unknown seeding', { allowed: brackets.SEEDINGS });
+  return { format, seeding };
+}
+
+// Build the bracket for a tournament that is about to start.
+async function buildBracket(game) {
+  const opts = game.bracket || { format: 'single', seeding: 'random' };
+  let players = game.players.map(p => ({ username: p.username }));
+  if (opts.seeding === 'rating') {
+    const linked = game.players.filter(p => p.user).map(p => p.user);
+    const current = await ratings.ratingsFor(linked, game.sport);
+    players = game.players.map(p => ({
+      username: p.username,
+      rating: p.user ? current[String(p.user)] : ratings.DEFAULT_RATING,
+    }));
+  }
+  return brackets.build(brackets.seedPlayers(players, opts.seeding), opts);
+}
+
+// Rate a completed game; a failure here must not undo the result, the game
+// stays ratingPending and the scheduler retries it.
+async function rate(game) {
+  try {
+    const rating = await ratings.rateGame(game);
+    return rating.changes;
+  } catch (err) {
+    console.error('[ratings] game rating failed', String(game._id), err);
+    return [];
+  }
+}
+
+// Atomically move a game from one status to the next; fails if it was changed meanwhile.
+async function transition(game, to, set) {
+  if (!TRANSITIONS[game.status].includes(to)) {
+    throw new AppError(409, 'invalid_transition', 'Game cannot move to this status', { from: game.status, to });
+  }
+  const updated = await Game.findOneAndUpdate(
+    { _id: game._id, status: game.status },
+    { $set: Object.assign({ status: to }, set) },
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw new AppError(409, 'concurrent_update');
+  return updated;
+}
+
+// GET /?status=&type=&sport=&search=&from=&to=&sort=-createdAt&limit=&cursor=
+// search matches the title or a player's username; see lib/pagination.js
+router.get('/', async (req, res) => {
+  try {
+    const list = parseList(req.query, { sorts: ['createdAt', 'startedAt', 'completedAt', 'title'] });
+    const q = dateRange(req.query);
+    if (req.query.status) q.status = String(req.query.status);
+    if (req.query.type) q.type = String(req.query.type);
+    if (req.query.sport) q.sport = String(req.query.sport).toLowerCase();
+    if (req.query.search) q.$or = [{ title: searchRegex(req.query.search) }, { 'players.username': searchRegex(req.query.search) }];
+    const { items, ...page } = await paginate(Game, q, list);
+    return res.json({ ok: true, ...page, games: items });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/games');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const game = await loadGame(req.params.id);
+    return res.json({ ok: true, game });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/games/:id');
+  }
 });
 
-router.post('/', (req, res) => {
-  const body = req.body || {};
-  const game = Object.assign({ _id: String(Date.now()), status: 'pending', createdAt: new Date() }, body);
-  return res.status(201).json({ ok: true, game });
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return res.status(400).json({ error: 'title_required' });
+
+    const players = normalizePlayers(body.players || []).map(p => ({ username: p.username, user: p.user, score: p.score || 0 }));
+    const game = await Game.create({
+      title,
+      type: body.type,
+      sport: typeof body.sport === 'string' && body.sport.trim() ? body.sport.trim() : undefined,
+      entryFee: body.entryFee,
+      prizePool: body.prizePool,
+      players,
+      bracket: body.type === 'tournament' ? parseBracketOptions(body) : undefined,
+      status: 'pending', // games always start pending, whatever the body says
+    });
+    await audit.recordRequest(req, 'game.create', gameTarget(game), { after: audit.pick(game, ['title', 'type', 'sport', ...AUDITED]) });
+    return res.status(201).json({ ok: true, game });
+  } catch (err) {
+    if (err && err.name === 'ValidationError') return res.status(400).json({ error: 'validation_error', message: err.message });
+    return sendError(res, err, 'POST /admin/games');
+  }
 });
 
-router.post('/:id/start', (req, res) => {
-  return res.json({ ok: true, game: { _id: req.params.id, status: 'active' } });
+router.post('/:id/start', async (req, res) => {
+  try {
+    const game = await loadGame(req.params.id);
+    if (game.status === 'pending' && game.players.length < 2) {
+      return res.status(409).json({ error: 'not_enough_players', players: game.players.length });
+    }
+    const set = { startedAt: new Date() };
+    if (game.type === 'tournament') set.bracket = await buildBracket(game);
+    const updated = await transition(game, 'active', set);
+    await audit.recordRequest(req, 'game.start', gameTarget(game), { before: audit.pick(game, AUDITED), after: audit.pick(updated, AUDITED) });
+    return res.json({ ok: true, game: updated });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/games/:id/start');
+  }
 });
 
-router.post('/:id/finish', (req, res) => {
-  return res.json({ ok: true, winner: null, game: { _id: req.params.id, status: 'completed' } });
+// POST /:id/finish { scores?: [{ username, score }], allowDraw?: boolean }
+// A tie on the top score is refused unless allowDraw is set, in which case the
+// game completes with winner = null. Tournaments finish through their bracket.
+router.post('/:id/finish', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const game = await loadGame(req.params.id);
+    if (game.status !== 'active') {
+      return res.status(409).json({ error: 'invalid_transition', from: game.status, to: 'completed' });
+    }
+    if (game.type === 'tournament') {
+      return res.status(409).json({ error: 'tournament_uses_bracket', message: 'Report bracket results; the game completes with the final' });
+    }
+
+    const before = audit.pick(game, AUDITED);
+    if (body.scores !== undefined) applyScores(game, normalizePlayers(body.scores));
+    const { winner, tiedPlayers } = computeResult(game.players);
+    if (!winner && !body.allowDraw) {
+      return res.status(409).json({ error: 'tie', tiedPlayers, message: 'Top score is tied; submit new scores or pass allowDraw: true' });
+    }
+
+    const updated = await transition(game, 'completed', {
+      players: game.players,
+      winner,
+      tiedPlayers,
+      completedAt: new Date(),
+      ratingPending: true,
+    });
+
+    await audit.recordRequest(req, 'game.finish', gameTarget(game), { before, after: audit.pick(updated, AUDITED) });
+    const ratingChanges = await rate(updated);
+    return res.json({ ok: true, winner, tiedPlayers, game: updated, ratingChanges });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/games/:id/finish');
+  }
 });
 
-router.patch('/:id/players', (req, res) => {
-  const players = Array.isArray(req.body && req.body.players) ? req.body.players : [];
-  return res.json({ ok: true, game: { _id: req.params.id, players } });
+// GET /:id/bracket — rounds per side (winners / losers / final) and, once
+// decided, the champion and final placings.
+router.get('/:id/bracket', async (req, res) => {
+  try {
+    const game = await loadGame(req.params.id);
+    if (game.type !== 'tournament') return res.status(404).json({ error: 'not_a_tournament' });
+    if (!game.bracket || !game.bracket.matches.length) {
+      return res.status(409).json({ error: 'bracket_not_started', status: game.status });
+    }
+    return res.json({ ok: true, gameId: game._id, status: game.status, bracket: brackets.view(game.toObject().bracket) });
+  } catch (err) {
+    return sendError(res, err, 'GET /admin/games/:id/bracket');
+  }
+});
+
+// POST /:id/bracket/matches/:code/result { winner, scores?: [slot0, slot1] }
+// Advances the winner (and, in double elimination, the loser); each match won
+// adds 1 to the player's score. The game completes when the champion is known.
+router.post('/:id/bracket/matches/:code/result', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const game = await loadGame(req.params.id);
+    if (game.type !== 'tournament') return res.status(404).json({ error: 'not_a_tournament' });
+    if (game.status !== 'active') return res.status(409).json({ error: 'game_not_active', status: game.status });
+
+    const before = audit.pick(game, AUDITED);
+    const bracket = game.toObject().bracket;
+    const revision = bracket.revision || 0;
+    const match = brackets.reportResult(bracket, req.params.code, body.winner, body.scores);
+    const player = game.players.find(p => p.username === match.winner);
+    if (player) player.score = (player.score || 0) + 1;
+
+    const set = { bracket, players: game.players };
+    if (bracket.champion) Object.assign(set, { status: 'completed', winner: bracket.champion, tiedPlayers: [], completedAt: new Date(), ratingPending: true });
+    const updated = await Game.findOneAndUpdate(
+      { _id: game._id, status: 'active', 'bracket.revision': revision },
+      { $set: set },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'concurrent_update' });
+    await audit.recordRequest(req, 'game.bracket_result', gameTarget(game), {
+      before,
+      after: audit.pick(updated, AUDITED),
+      meta: { match: match.code, winner: match.winner, scores: match.scores },
+    });
+
+    const ratingChanges = updated.status === 'completed' ? await rate(updated) : [];
+    return res.json({
+      ok: true,
+      match,
+      champion: bracket.champion,
+      game: updated,
+      bracket: brackets.view(updated.toObject().bracket),
+      ratingChanges,
+    });
+  } catch (err) {
+    return sendError(res, err, 'POST /admin/games/:id/bracket/matches/:code/result');
+  }
+});
+
+// PATCH /:id/players { players: [...] }
+//   pending: replaces the roster (duplicates rejected)
+//   active:  updates scores of existing players only
+router.patch('/:id/players', async (req, res) => {
+  try {
+    const game = await loadGame(req.params.id);
+    const players = normalizePlayers(req.body && req.body.players);
+    const before = audit.pick(game, AUDITED);
+
+    if (game.status === 'completed') return res.status(409).json({ error: 'game_completed' });
+    if (game.status === 'pending') {
+      game.players = players.map(p => ({ username: p.username, user: p.user, score: p.score || 0 }));
+    } else {
+      applyScores(game, players);
+    }
+
+    const updated = await Game.findOneAndUpdate(
+      { _id: game._id, status: game.status },
+      { $set: { players: game.players } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'concurrent_update' });
+    await audit.recordRequest(req, 'game.players', gameTarget(game), { before, after: audit.pick(updated, AUDITED) });
+    return res.json({ ok: true, game: updated });
+  } catch (err) {
+    return sendError(res, err, 'PATCH /admin/games/:id/players');
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,59 @@
+// routes/matches.js
+// Public match views, including the provably fair draw audit, and result
+// reporting by participants of reported-result matches.
+const express = require('express');
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const requireUser = require('../middleware/require-user');
+const { verifyMatch } = require('../services/fairness');
+const matchResults = require('../services/match-results');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+async function loadMatch(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Match.findById(id).lean();
+}
+
+// GET /matches/:id — the seed is only shown once it has been revealed
+router.get('/:id', async (req, res) => {
+  try {
+    const match = await loadMatch(req.params.id);
+    if (!match) return res.status(404).json({ error: 'not_found' });
+
+    const { seed, ...rest } = match;
+    return res.json({ ok: true, match: { ...rest, seed: match.seedRevealedAt ? seed : null } });
+  } catch (err) {
+    console.error('Error in GET /matches/:id:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /matches/:id/verify — recompute the draw from the revealed seed and entry order
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const match = await loadMatch(req.params.id);
+    if (!match) return res.status(404).json({ error: 'not_found' });
+    return res.json({ ok: true, ...verifyMatch(match) });
+  } catch (err) {
+    console.error('Error in GET /matches/:id/verify:', err);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// POST /matches/:id/results { scores: [{ entry, score }], evidenceUrl? }
+// Confirmed once every participant submitted the same scores; any
+// disagreement puts the match in dispute for an admin to resolve.
+router.post('/:id/results', requireUser, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const match = await matchResults.submitResult(req.user, req.params.id, { scores: body.scores, evidenceUrl: body.evidenceUrl });
+    const { seed, ...rest } = match.toObject();
+    return res.json({ ok: true, resultStatus: match.resultStatus, match: { ...rest, seed: null } });
+  } catch (err) {
+    return sendError(res, err, 'POST /matches/:id/results');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/payments.js
+// Provider-agnostic player payment endpoints (mounted at /payments).
+// Provider notifications have their own routers: routes/pesapal.js,
+// routes/stripe-webhook.js and routes/fake-payments.js.
+//
+//   GET  /providers         which providers this deployment offers
+//   POST /checkout          { entryId, provider? } -> { redirectUrl } (verified email)
+//   GET  /:id               poll a payment, re-checking the provider if pending
+const express = require('express');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const requireUser = require('../middleware/require-user');
+const payments = require('../services/payments');
+const accounts = require('../services/accounts');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+function paymentView(p) {
+  return {
+    paymentId: p._id,
+    provider: p.provider,
+    purpose: p.purpose,
+    status: p.status,
+    amount: p.amount,
+    entry: p.entry,
+    providerRef: p.providerRef,
+    redirectUrl: p.status === 'pending' ? p.redirectUrl : undefined,
+  };
+}
+
+router.get('/providers', (req, res) => {
+  res.json({ ok: true, providers: payments.enabledProviders(), default: payments.defaultProvider() });
+});
+
+// POST /checkout { entryId, provider? } — (re)open a checkout for an unpaid entry
+router.post('/checkout', requireUser, async (req, res) => {
+  try {
+    accounts.assertVerified(req.user);
+    const { entryId, provider } = req.body || {};
+    if (!mongoose.isValidObjectId(entryId)) return res.status(400).json({ error: 'invalid_entry_id' });
+    const { payment, redirectUrl } = await payments.checkoutEntry(req.user, entryId, { provider });
+    return res.status(201).json({ ok: true, ...paymentView(payment), redirectUrl });
+  } catch (err) {
+    return sendError(res, err, 'POST /payments/checkout');
+  }
+});
+
+// GET /:id — status polling fallback for the player's browser
+router.get('/:id', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    let payment = await Payment.findOne({ _id: req.params.id, user: req.user._id });
+    if (!payment) return res.status(404).json({ error: 'not_found' });
+    if (payment.status === 'pending') payment = await payments.refreshPayment(payment);
+    return res.json({ ok: true, ...paymentView(payment) });
+  } catch (err) {
+    return sendError(res, err, 'GET /payments/:id');
+  }
+});
+
+module.exports = router;
@@ -1,63 +1,76 @@
 /**
- * Safe pesapal route stub.
- * - If PESAPAL_DISABLED === 'true' this returns 503 for all pesapal endpoints.
- * - Else tries to require pesapaljs-v3 inside try/catch and only uses it when available.
+ * Pesapal notification routes (mounted at /payments/pesapal).
+ * - Only active when "pesapal" is in PAYMENT_PROVIDERS; otherwise every
+ *   endpoint answers 503.
+ * - PESAPAL_BASE points at Pesapal (sandbox by default) or at the bundled
+ *   mock: `node scripts/mock-pesapal.js` + PESAPAL_BASE=http://localhost:4100
+ * - Checkout and polling are provider-agnostic, see routes/payments.js.
  *
- * When ready to restore full payments, replace this file with the original
- * implementation or remove the PESAPAL_DISABLED env var.
+ *   GET|POST /ipn             Pesapal instant payment notification
+ *   GET  /callback            where Pesapal sends the player after paying
  */
 
 const express = require('express');
+const payments = require('../services/payments');
+
 const router = express.Router();
 
-const isDisabled = (process.env.PESAPAL_DISABLED || '').toLowerCase() === 'true';
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://battlehub-frontend.vercel.app').replace(/\/$/, '');
 
 // helper to send consistent "payments disabled" response
 function paymentsDisabled(req, res) {
   res.status(503).json({
     ok: false,
-    message: 'Payments are temporarily disabled on this deployment. Contact the dev team to re-enable.'
+    message: 'Pesapal payments are not enabled on this deployment. Contact the dev team to re-enable.'
   });
 }
 
-if (isDisabled) {
-  // All endpoints just return disabled
-  router.use( paymentsDisabled);
-  module.exports = router;
-  return;
-}
+router.use((req, res, next) => (payments.isEnabled('pesapal') ? next() : paymentsDisabled(req, res)));
 
-// Try to load the pesapal module but do not crash if it doesn't exist
-let pesapal;
-try {
-  pesapal = require('pesapaljs-v3').init; // library exposes init function
-} catch (err) {
-  console.warn('[pesapal] pesapaljs-v3 not available, payments disabled:', err && err.message);
-  router.use( paymentsDisabled);
-  module.exports = router;
-  return;
-}
+router.get('/health', (req, res) => res.json({ ok: true, pesapal: 'enabled' }));
+
+// IPN: Pesapal sends OrderTrackingId / OrderMerchantReference / OrderNotificationType
+// as query params (GET) or JSON (POST). The provider never trusts the
+// notification itself: the status is re-read from Pesapal.
+async function handleIpn(req, res) {
+  const src = Object.assign({}, req.query, req.body);
+  const orderTrackingId = src.OrderTrackingId || src.orderTrackingId;
+  const ack = {
+    orderNotificationType: src.OrderNotificationType || 'IPNCHANGE',
+    orderTrackingId,
+    orderMerchantReference: src.OrderMerchantReference || src.orderMerchantReference,
+  };
 
-// If we get here, pesapal module loaded; set up minimal working endpoints.
-// Note: this is intentionally minimal; restore original logic when ready.
+  if (!orderTrackingId) return res.status(400).json(Object.assign(ack, { status: 500 }));
+  try {
+    await payments.handleCallback('pesapal', req);
+    return res.json(Object.assign(ack, { status: 200 }));
+  } catch (err) {
+    console.error('[pesapal] IPN error', orderTrackingId, err && err.message);
+    // status 500 tells Pesapal to retry the notification later
+    return res.status(500).json(Object.assign(ack, { status: 500 }));
+  }
+}
 
-router.get('/health', (req, res) => res.json({ ok: true, pesapal: 'module-loaded' }));
+router.get('/ipn', handleIpn);
+router.post('/ipn', handleIpn);
 
-// token route example (only if you need it)
-router.post('/token', async (req, res) => {
+// Player redirect after checkout: refresh the status, then send them to the frontend.
+router.get('/callback', async (req, res) => {
+  const orderTrackingId = req.query.OrderTrackingId;
+  let status = 'pending';
+  let paymentId = '';
   try {
-    const config = {
-      consumerKey: process.env.PESAPAL_CONSUMER_KEY,
-      consumerSecret: process.env.PESAPAL_CONSUMER_SECRET,
-      baseUrl: process.env.PESAPAL_BASE || 'https://cybqa.pesapal.com/pesapalv3'
-    };
-    const p = pesapal(config);
-    const token = await p.getToken();
-    res.json({ ok: true, token });
-  } catch (e) {
-    console.error('[pesapal] token error', e && e.message);
-    res.status(500).json({ ok: false, error: e && e.message ? e.message : 'token error' });
+    const [payment] = orderTrackingId ? await payments.handleCallback('pesapal', req) : [];
+    if (payment) {
+      status = payment.status;
+      paymentId = String(payment._id);
+    }
+  } catch (err) {
+    console.error('[pesapal] callback refresh failed', orderTrackingId, err && err.message);
   }
+  const qs = new URLSearchParams({ provider: 'pesapal', status, paymentId, orderTrackingId: orderTrackingId || '' });
+  return res.redirect(`${FRONTEND_URL}/payments/result?${qs}`);
 });
 
 module.exports = router;
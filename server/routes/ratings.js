@@ -0,0 +1,73 @@
+// routes/ratings.js
+// Per-sport skill ratings (services/ratings.js): leaderboards, the caller's
+// ratings and any player's ratings with recent history.
+const express = require('express');
+const mongoose = require('mongoose');
+const requireUser = require('../middleware/require-user');
+const Rating = require('../models/Rating');
+const RatingHistory = require('../models/RatingHistory');
+const { normalizeSport, DEFAULT_RATING } = require('../services/ratings');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+function parseLimit(value, def, max) {
+  return Math.min(Math.max(parseInt(value, 10) || def, 1), max);
+}
+
+// Ratings plus recent changes for one user, optionally one sport.
+async function playerRatings(userId, sport, limit) {
+  const q = { user: userId };
+  if (sport) q.sport = normalizeSport(sport);
+  const [ratings, history] = await Promise.all([
+    Rating.find(q).sort({ rating: -1 }).select('-__v').lean(),
+    RatingHistory.find(q).sort({ createdAt: -1 }).limit(limit).select('-__v').lean(),
+  ]);
+  return { ratings, history };
+}
+
+// GET /ratings/leaderboard?sport=car&limit=50
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const sport = normalizeSport(req.query.sport);
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const rows = await Rating.find({ sport })
+      .sort({ rating: -1, games: -1 })
+      .limit(limit)
+      .populate('user', 'name')
+      .lean();
+    const leaderboard = rows.map((r, i) => ({
+      rank: i + 1,
+      userId: r.user ? r.user._id : null,
+      name: r.user ? r.user.name : null,
+      rating: r.rating,
+      games: r.games,
+    }));
+    return res.json({ ok: true, sport, leaderboard });
+  } catch (err) {
+    return sendError(res, err, 'GET /ratings/leaderboard');
+  }
+});
+
+// GET /ratings/me?sport=car&limit=20
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    const out = await playerRatings(req.user._id, req.query.sport, parseLimit(req.query.limit, 20, 100));
+    return res.json({ ok: true, defaultRating: DEFAULT_RATING, ...out });
+  } catch (err) {
+    return sendError(res, err, 'GET /ratings/me');
+  }
+});
+
+// GET /ratings/users/:id?sport=car&limit=20
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'not_found' });
+    const out = await playerRatings(req.params.id, req.query.sport, parseLimit(req.query.limit, 20, 100));
+    return res.json({ ok: true, defaultRating: DEFAULT_RATING, ...out });
+  } catch (err) {
+    return sendError(res, err, 'GET /ratings/users/:id');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// routes/stripe-webhook.js
+// Stripe webhook endpoint. Mounted in index.js *before* express.json() so the
+// signature can be verified against the exact raw body Stripe sent.
+const express = require('express');
+const payments = require('../services/payments');
+const { AppError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const updated = await payments.handleCallback('stripe', req);
+    return res.json({ received: true, payments: updated.map(p => ({ id: p._id, status: p.status })) });
+  } catch (err) {
+    // bad signature / not configured: tell Stripe, retrying will not help
+    if (err instanceof AppError) {
+      console.warn('[stripe] webhook rejected:', err.message);
+      return res.status(err.status).json(err.toJSON());
+    }
+    // non-2xx makes Stripe retry the delivery later
+    console.error('[stripe] webhook handling failed', err);
+    return res.status(500).json({ received: false, error: 'internal_error' });
+  }
+});
+
+module.exports = router;
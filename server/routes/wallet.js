@@ -0,0 +1,127 @@
+// routes/wallet.js
+// Player wallet, backed by the ledger (services/ledger.js): summary, deposits
+// through a payment provider, paying entry fees from the balance, withdrawals,
+// statements.
+const express = require('express');
+const mongoose = require('mongoose');
+const requireUser = require('../middleware/require-user');
+const ledger = require('../services/ledger');
+const wallet = require('../services/wallet');
+const withdrawals = require('../services/withdrawals');
+const payments = require('../services/payments');
+const { payEntryFromWallet } = require('../services/entry-fees');
+const accounts = require('../services/accounts');
+const money = require('../lib/money');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// GET /wallet?limit=20 — balances in every currency held plus recent transactions
+router.get('/', requireUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { balances, transactions } = await wallet.summary(req.user._id, { limit });
+    return res.json({ ok: true, currency: req.user.currency, balances, transactions });
+  } catch (err) {
+    return sendError(res, err, 'GET /wallet');
+  }
+});
+
+// POST /wallet/deposit { amount, currency?, provider? } — amount in major units.
+// Returns the provider's redirectUrl; the wallet is credited once the payment
+// completes. Needs a verified email address.
+router.post('/deposit', requireUser, async (req, res) => {
+  try {
+    accounts.assertVerified(req.user);
+    const body = req.body || {};
+    if (body.amount === undefined || body.amount === '') return res.status(400).json({ error: 'amount_required' });
+    const amount = money.fromMajor(body.amount, body.currency || req.user.currency);
+    if (!(amount.amount > 0)) return res.status(400).json({ error: 'invalid_amount' });
+
+    const { payment, redirectUrl } = await payments.deposit(req.user, amount, { provider: body.provider });
+    return res.status(201).json({
+      ok: true,
+      paymentId: payment._id,
+      provider: payment.provider,
+      status: payment.status,
+      amount: payment.amount,
+      redirectUrl,
+    });
+  } catch (err) {
+    return sendError(res, err, 'POST /wallet/deposit');
+  }
+});
+
+// POST /wallet/pay-entry { entryId } — pay an unpaid battle entry from the balance
+router.post('/pay-entry', requireUser, async (req, res) => {
+  try {
+    accounts.assertVerified(req.user);
+    const entryId = req.body && req.body.entryId;
+    if (!mongoose.isValidObjectId(entryId)) return res.status(400).json({ error: 'invalid_entry_id' });
+    const { entry } = await payEntryFromWallet(req.user, entryId);
+    const balance = await ledger.balanceOf(ledger.walletAccount(req.user._id), entry.fee.currency);
+    return res.json({ ok: true, entry, balance });
+  } catch (err) {
+    return sendError(res, err, 'POST /wallet/pay-entry');
+  }
+});
+
+// POST /wallet/withdrawals { amount, currency?, destination: { phone, network?, name? } }
+// Reserves the amount right away; an admin approves or rejects the request.
+router.post('/withdrawals', requireUser, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.amount === undefined || body.amount === '') return res.status(400).json({ error: 'amount_required' });
+    const amount = money.fromMajor(body.amount, body.currency || req.user.currency);
+    const withdrawal = await withdrawals.requestWithdrawal(req.user, { amount, destination: body.destination });
+    return res.status(201).json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /wallet/withdrawals');
+  }
+});
+
+// GET /wallet/withdrawals — the caller's withdrawal requests, newest first
+router.get('/withdrawals', requireUser, async (req, res) => {
+  try {
+    const list = await withdrawals.listWithdrawals({ user: req.user._id, limit: 100 });
+    return res.json({ ok: true, withdrawals: list });
+  } catch (err) {
+    return sendError(res, err, 'GET /wallet/withdrawals');
+  }
+});
+
+// POST /wallet/withdrawals/:id/cancel — only while still pending review
+router.post('/withdrawals/:id/cancel', requireUser, async (req, res) => {
+  try {
+    const withdrawal = await withdrawals.cancelWithdrawal(req.user, req.params.id);
+    return res.json({ ok: true, withdrawal });
+  } catch (err) {
+    return sendError(res, err, 'POST /wallet/withdrawals/:id/cancel');
+  }
+});
+
+// GET /wallet/statement?currency=UGX&display=USD&limit=100
+// Ledger lines for the caller's wallet in one currency with running balance.
+// `display` adds an approximate conversion of the balance for display only.
+router.get('/statement', requireUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const currency = req.query.currency || req.user.currency;
+    const statement = await ledger.statement(ledger.walletAccount(req.user._id), currency, { limit });
+
+    const out = { ok: true, ...statement };
+    if (req.query.display) {
+      out.display = money.convert(money.money(statement.balance, statement.currency), req.query.display);
+    }
+    return res.json(out);
+  } catch (err) {
+    return sendError(res, err, 'GET /wallet/statement');
+  }
+});
+
+// GET /wallet/rates — the display exchange-rate table (units per 1 USD)
+router.get('/rates', (req, res) => {
+  return res.json({ ok: true, base: 'USD', rates: money.RATES });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * scripts/create-admin.js
+ *
+ * Grants a staff role to a user, creating the account when the email is new
+ * (a password is then required). Used to bootstrap the first admin; after that
+ * roles are managed through PATCH /admin/users/:id/role.
+ *
+ * Usage:
+ *   node scripts/create-admin.js <email> <admin|finance|support> [password]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { STAFF_ROLES } = require('../lib/permissions');
+const audit = require('../services/audit');
+
+async function main() {
+  const [emailArg, role, password] = process.argv.slice(2);
+  const email = String(emailArg || '').trim().toLowerCase();
+  if (!email || !STAFF_ROLES.includes(role)) {
+    console.error(`Usage: node scripts/create-admin.js <email> <${STAFF_ROLES.join('|')}> [password]`);
+    process.exit(2);
+  }
+
+  const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!MONGO_URI) {
+    console.error('Missing MONGO_URI in environment (.env).');
+    process.exit(3);
+  }
+  await mongoose.connect(MONGO_URI, { connectTimeoutMS: 10000 });
+
+  try {
+    const actor = { kind: 'script', name: 'create-admin' };
+    let user = await User.findOne({ email });
+    if (user) {
+      const before = { role: user.role };
+      user.role = role;
+      if (password) user.password = await bcrypt.hash(password, 10);
+      await user.save();
+      await audit.record({ actor, action: 'user.role', target: { type: 'user', id: user._id }, before, after: { role }, meta: { passwordReset: Boolean(password) } });
+      console.log(`Updated ${email}: role=${role}`);
+    } else {
+      if (!password || password.length < 8) {
+        console.error('New account: a password of at least 8 characters is required.');
+        process.exitCode = 4;
+        return;
+      }
+      user = await User.create({ email, role, password: await bcrypt.hash(password, 10) });
+      await audit.record({ actor, action: 'user.create', target: { type: 'user', id: user._id }, after: { email, role } });
+      console.log(`Created ${email}: role=${role} id=${user._id}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('create-admin failed:', err);
+  process.exit(1);
+});
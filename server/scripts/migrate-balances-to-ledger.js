@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate-balances-to-ledger.js
+ * One-off migration: moves legacy User.balanceUSD values into the ledger as
+ * opening-balance entries (equity:opening -> wallet:<userId>) and unsets the field.
+ *
+ * It also opens the escrow of battles still in play: entry fees paid before the
+ * ledger were never posted to escrow:battle:<battleId>, so paying out (or
+ * refunding) their matches would drive the escrow negative. Every paid,
+ * unrefunded entry of an open / closed / ongoing battle without an
+ * "entry_fee:<entryId>" ledger entry gets an opening posting
+ * (equity:opening -> escrow:battle:<battleId>) for its fee. The players' fees
+ * already left their legacy balance, so the wallets are not debited again.
+ *
+ * Safe to re-run: each opening entry has a unique idempotency key.
+ *
+ * Usage:
+ *   node scripts/migrate-balances-to-ledger.js          # dry-run
+ *   node scripts/migrate-balances-to-ledger.js --apply
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ledger = require('../services/ledger');
+const money = require('../lib/money');
+const { entryFeeKey } = require('../services/entry-fees');
+
+const IN_PLAY = ['open', 'closed', 'ongoing'];
+
+function openingEscrowKey(entryId) {
+  return `opening_escrow:${entryId}`;
+}
+
+// Post the opening escrow of legacy entry fees; returns the number of entries posted.
+async function openLegacyEscrow(db, apply) {
+  const LedgerEntry = mongoose.model('LedgerEntry');
+  const battles = await db.collection('battles').find({ state: { $in: IN_PLAY } }, { projection: { _id: 1 } }).toArray();
+  const cursor = db.collection('entries').find(
+    { battle: { $in: battles.map(b => b._id) }, paid: true, refunded: { $ne: true } },
+    { projection: { battle: 1, user: 1, fee: 1 } }
+  );
+
+  let opened = 0;
+  for await (const e of cursor) {
+    if (!e.fee || !(e.fee.amount > 0)) continue;
+    if (await LedgerEntry.exists({ idempotencyKey: { $in: [entryFeeKey(e._id), openingEscrowKey(e._id)] } })) continue;
+    console.log(`entry ${e._id} (battle ${e.battle}): ${money.format(e.fee)} into escrow`);
+    opened++;
+    if (!apply) continue;
+
+    await ledger.withTransaction(null, async (session) => {
+      await ledger.post({
+        type: 'opening_balance',
+        currency: e.fee.currency,
+        idempotencyKey: openingEscrowKey(e._id),
+        user: e.user,
+        battle: e.battle,
+        note: 'Opening escrow for an entry fee paid before the ledger',
+        lines: [
+          { account: ledger.OPENING_EQUITY, amount: -e.fee.amount },
+          { account: ledger.escrowAccount(e.battle), amount: e.fee.amount },
+        ],
+      }, { session });
+    });
+  }
+  return opened;
+}
+
+async function main() {
+  const apply = process.argv.includes('--apply');
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI missing in .env. Set it to your MongoDB connection string.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.MONGO_DB || undefined });
+  console.log('Connected.', { apply });
+
+  try {
+    // raw collection: balanceUSD is no longer part of the User schema
+    const users = mongoose.connection.db.collection('users');
+    const cursor = users.find({ balanceUSD: { $exists: true } }, { projection: { email: 1, balanceUSD: 1 } });
+
+    let migrated = 0;
+    for await (const u of cursor) {
+      const amount = money.fromMajor(Number(u.balanceUSD) || 0, 'USD', { round: true });
+      console.log(`${u.email}: ${money.format(amount)}`);
+      if (!apply) continue;
+
+      await ledger.withTransaction(null, async (session) => {
+        const existing = await mongoose.model('LedgerEntry').exists({ idempotencyKey: `opening:${u._id}` }).session(session);
+        if (!existing) {
+          await ledger.post({
+            type: 'opening_balance',
+            currency: amount.currency,
+            idempotencyKey: `opening:${u._id}`,
+            user: u._id,
+            note: 'Opening balance migrated from User.balanceUSD',
+            lines: [
+              { account: ledger.OPENING_EQUITY, amount: -amount.amount },
+              { account: ledger.walletAccount(u._id), amount: amount.amount },
+            ],
+          }, { session });
+        }
+        await users.updateOne({ _id: u._id }, { $unset: { balanceUSD: '' } }, { session });
+      });
+      migrated++;
+    }
+
+    const opened = await openLegacyEscrow(mongoose.connection.db, apply);
+
+    console.log(apply
+      ? `Migrated ${migrated} user balance(s), opened escrow for ${opened} entry fee(s).`
+      : 'Dry-run only; pass --apply to migrate.');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error', err && err.stack ? err.stack : err);
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate-money-to-minor-units.js
+ * One-off migration from floating-point USD fields to integer minor-unit money
+ * ({ amount, currency }, see lib/money.js):
+ *
+ *   battles       entryFeeUSD                               -> entryFee
+ *   matches       potUSD / winnerPayoutUSD / platformCutUSD -> pot / winnerPayout / platformCut
+ *   transactions  amountUSD                                 -> amount
+ *   entries       (none)                                    -> fee (copied from the battle)
+ *   ledgeraccounts balanceUSD                               -> balance + currency
+ *   ledgerentries lines.amountUSD                           -> lines.amount + currency
+ *
+ * Only documents that still have the old field are touched, so it is safe to re-run.
+ * Run it before scripts/migrate-balances-to-ledger.js.
+ *
+ * Usage:
+ *   node scripts/migrate-money-to-minor-units.js          # dry-run (counts only)
+ *   node scripts/migrate-money-to-minor-units.js --apply
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const money = require('../lib/money');
+
+function usd(value) {
+  return money.fromMajor(Number(value) || 0, 'USD', { round: true });
+}
+
+async function migrateCollection(db, name, filter, toUpdate, apply) {
+  const col = db.collection(name);
+  const total = await col.countDocuments(filter);
+  console.log(`${name}: ${total} document(s) to migrate`);
+  if (!apply || total === 0) return 0;
+
+  let done = 0;
+  for await (const doc of col.find(filter)) {
+    const update = await toUpdate(doc);
+    if (update) {
+      await col.updateOne({ _id: doc._id }, update);
+      done++;
+    }
+  }
+  console.log(`${name}: migrated ${done}`);
+  return done;
+}
+
+async function main() {
+  const apply = process.argv.includes('--apply');
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI missing in .env. Set it to your MongoDB connection string.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.MONGO_DB || undefined });
+  console.log('Connected.', { apply });
+  const db = mongoose.connection.db;
+
+  try {
+    await migrateCollection(db, 'battles', { entryFeeUSD: { $exists: true } }, b => ({
+      $set: { entryFee: usd(b.entryFeeUSD) },
+      $unset: { entryFeeUSD: '' },
+    }), apply);
+
+    await migrateCollection(db, 'matches', { potUSD: { $exists: true } }, m => ({
+      $set: { pot: usd(m.potUSD), winnerPayout: usd(m.winnerPayoutUSD), platformCut: usd(m.platformCutUSD) },
+      $unset: { potUSD: '', winnerPayoutUSD: '', platformCutUSD: '' },
+    }), apply);
+
+    await migrateCollection(db, 'transactions', { amountUSD: { $exists: true } }, t => ({
+      $set: { amount: usd(t.amountUSD) },
+      $unset: { amountUSD: '' },
+    }), apply);
+
+    // entries never stored a fee; snapshot the (already migrated) battle fee
+    await migrateCollection(db, 'entries', { fee: { $exists: false } }, async e => {
+      const battle = await db.collection('battles').findOne({ _id: e.battle }, { projection: { entryFee: 1 } });
+      if (!battle || !battle.entryFee) return null;
+      return { $set: { fee: battle.entryFee } };
+    }, apply);
+
+    await migrateCollection(db, 'ledgeraccounts', { balanceUSD: { $exists: true } }, a => ({
+      $set: { balance: usd(a.balanceUSD).amount, currency: 'USD' },
+      $unset: { balanceUSD: '' },
+    }), apply);
+
+    await migrateCollection(db, 'ledgerentries', { 'lines.amountUSD': { $exists: true } }, e => ({
+      $set: {
+        currency: 'USD',
+        lines: e.lines.map(l => ({ account: l.account, amount: usd(l.amountUSD).amount })),
+      },
+    }), apply);
+
+    // ledger accounts are now unique per (code, currency); drop the old code-only index
+    if (apply) {
+      const indexes = await db.collection('ledgeraccounts').indexes().catch(() => []);
+      if (indexes.some(i => i.name === 'code_1')) {
+        await db.collection('ledgeraccounts').dropIndex('code_1');
+        console.log('ledgeraccounts: dropped index code_1');
+      }
+    }
+
+    if (!apply) console.log('Dry-run only; pass --apply to migrate.');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error', err && err.stack ? err.stack : err);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * scripts/mock-pesapal.js
+ * Minimal in-memory Pesapal v3 stand-in so the checkout flow can be exercised offline.
+ *
+ * Usage:
+ *   node scripts/mock-pesapal.js                      # listens on :4100
+ *   PESAPAL_BASE=http://localhost:4100 PESAPAL_CONSUMER_KEY=mock PESAPAL_CONSUMER_SECRET=mock npm run dev
+ *
+ * Open the redirect_url returned by checkout and pick "Pay" or "Fail": the mock
+ * updates the order, sends a GET IPN to the registered URL and redirects to the
+ * order's callback_url — just like the real thing.
+ * MOCK_PESAPAL_AUTO=completed|failed settles every order immediately instead.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_PESAPAL_PORT || 4100;
+const AUTO = process.env.MOCK_PESAPAL_AUTO || '';
+const PUBLIC_URL = (process.env.MOCK_PESAPAL_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+const STATUS = {
+  pending: { status_code: '', payment_status_description: 'PENDING' },
+  completed: { status_code: 1, payment_status_description: 'Completed' },
+  failed: { status_code: 2, payment_status_description: 'Failed' },
+};
+
+const ipns = new Map();   // ipn_id -> { url, ipn_notification_type }
+const orders = new Map(); // order_tracking_id -> order
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+function requireToken(req, res, next) {
+  if (!/^Bearer mock-/.test(req.header('authorization') || '')) {
+    return res.json({ error: { error_type: 'api_error', code: 'invalid_token', message: 'Invalid or missing token' }, status: '401' });
+  }
+  next();
+}
+
+app.post('/api/Auth/RequestToken', (req, res) => {
+  const { consumer_key, consumer_secret } = req.body || {};
+  if (!consumer_key || !consumer_secret) {
+    return res.json({ error: { code: 'invalid_consumer_key_or_secret_provided', message: 'Missing credentials' }, status: '500' });
+  }
+  res.json({
+    token: 'mock-' + crypto.randomBytes(12).toString('hex'),
+    expiryDate: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+    error: null,
+    status: '200',
+  });
+});
+
+app.post('/api/URLSetup/RegisterIPN', requireToken, (req, res) => {
+  const ipn_id = crypto.randomUUID();
+  ipns.set(ipn_id, { url: req.body.url, ipn_notification_type: req.body.ipn_notification_type || 'GET' });
+  res.json({ url: req.body.url, created_date: new Date().toISOString(), ipn_id, error: null, status: '200' });
+});
+
+app.get('/api/URLSetup/GetIpnList', requireToken, (req, res) => {
+  res.json([...ipns.entries()].map(([ipn_id, v]) => ({ ipn_id, url: v.url, ipn_notification_type_description: v.ipn_notification_type })));
+});
+
+app.post('/api/Transactions/SubmitOrderRequest', requireToken, (req, res) => {
+  const o = req.body || {};
+  if (!o.id || !o.currency || !o.amount || !o.callback_url || !o.notification_id) {
+    return res.json({ error: { code: 'missing_mandatory_field', message: 'A required field is missing' }, status: '500' });
+  }
+  const order_tracking_id = crypto.randomUUID();
+  orders.set(order_tracking_id, { ...o, order_tracking_id, status: 'pending', created_date: new Date().toISOString() });
+  if (AUTO) setTimeout(() => settle(order_tracking_id, AUTO).catch(err => console.error('[mock-pesapal]', err.message)), 500);
+  res.json({
+    order_tracking_id,
+    merchant_reference: o.id,
+    redirect_url: `${PUBLIC_URL}/mock/pay/${order_tracking_id}`,
+    error: null,
+    status: '200',
+  });
+});
+
+app.get('/api/Transactions/GetTransactionStatus', requireToken, (req, res) => {
+  const order = orders.get(req.query.orderTrackingId);
+  if (!order) {
+    return res.json({ status_code: 0, payment_status_description: 'INVALID', error: { code: 'invalid_order', message: 'Unknown order' }, status: '500' });
+  }
+  res.json({
+    payment_method: order.status === 'pending' ? '' : 'MockPay',
+    amount: order.amount,
+    created_date: order.created_date,
+    confirmation_code: order.status === 'completed' ? 'MOCK' + order.order_tracking_id.slice(0, 8) : '',
+    currency: order.currency,
+    merchant_reference: order.id,
+    ...STATUS[order.status],
+    error: null,
+    status: '200',
+  });
+});
+
+async function settle(trackingId, outcome) {
+  const order = orders.get(trackingId);
+  if (!order) throw new Error('unknown order ' + trackingId);
+  order.status = outcome === 'completed' ? 'completed' : 'failed';
+
+  const ipn = ipns.get(order.notification_id);
+  if (!ipn) return;
+  const qs = new URLSearchParams({ OrderTrackingId: trackingId, OrderMerchantReference: order.id, OrderNotificationType: 'IPNCHANGE' });
+  const resp = await fetch(`${ipn.url}?${qs}`);
+  console.log('[mock-pesapal] IPN', trackingId, order.status, '->', resp.status);
+}
+
+// "hosted payment page"
+app.get('/mock/pay/:id', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(404).send('Unknown order');
+  res.type('html').send(`<!doctype html><title>Mock Pesapal</title>
+<h1>Mock Pesapal</h1><p>${order.description || ''}</p><p><b>${order.amount} ${order.currency}</b> (status: ${order.status})</p>
+<form method="post" action="/mock/pay/${order.order_tracking_id}"><button name="outcome" value="completed">Pay</button> <button name="outcome" value="failed">Fail</button></form>`);
+});
+
+app.post('/mock/pay/:id', async (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(404).send('Unknown order');
+  try {
+    await settle(order.order_tracking_id, req.body.outcome);
+  } catch (err) {
+    console.error('[mock-pesapal] IPN delivery failed:', err.message);
+  }
+  const qs = new URLSearchParams({ OrderTrackingId: order.order_tracking_id, OrderMerchantReference: order.id, OrderNotificationType: 'CALLBACKURL' });
+  res.redirect(`${order.callback_url}?${qs}`);
+});
+
+app.listen(PORT, () => {
+  console.log(`✅ Mock Pesapal listening on ${PUBLIC_URL}${AUTO ? ` (auto: ${AUTO})` : ''}`);
+});
@@ -11,8 +11,8 @@ if mkdir "$LOCK_DIR" 2>/dev/null; then
   # acquired lock
   trap 'rm -rf "$LOCK_DIR"' EXIT INT TERM
   echo "[`date -u +'%Y-%m-%dT%H:%M:%SZ'`] Starting payout run (apply=true)" >> "$LOG_DIR/payout-$(date +%Y%m%d).log"
-  # Run payout script (node) — adjust PATH if needed
-  /usr/bin/env node "$(cd "$(dirname "$0")" && pwd)/scripts/payout-unpaid.js" --apply >> "$LOG_DIR/payout-$(date +%Y%m%d).log" 2>&1 || {
+  # Run payout script (node) — adjust PATH if needed; payouts are idempotent per match
+  /usr/bin/env node "$(cd "$(dirname "$0")" && pwd)/payout-unpaid.js" --apply >> "$LOG_DIR/payout-$(date +%Y%m%d).log" 2>&1 || {
     echo "[`date -u +'%Y-%m-%dT%H:%M:%SZ'`] payout script failed" >> "$LOG_DIR/payout-$(date +%Y%m%d).log"
     exit 1
   }
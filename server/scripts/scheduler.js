@@ -1,21 +1,30 @@
 /**
  * scripts/scheduler.js
  *
- * Finds battles that should be started (startAt <= now) and closes them,
- * then triggers admin matchmaking endpoint to process closed battles.
+ * Finds battles that should be started (startAt <= now) and closes them
+ * (or cancels and refunds them when too few paid entries arrived), then
+ * triggers admin matchmaking endpoint to process closed battles.
+ * Also re-checks pending payments with their provider (fallback for missed
+ * IPNs / webhooks, see services/payments), makes refunds still owed to entries
+ * matchmaking left out (services/battle-lifecycle.js) and retries ratings that
+ * failed after a payout or game result (services/ratings.js).
  *
  * Usage:
  *   NODE_ENV=development node scripts/scheduler.js
  *
  * Requires .env with MONGO_URI and ADMIN_KEY (or set environment variables before running).
+ * ADMIN_KEY is the service credential the API accepts for matchmaking only;
+ * without it battles are still closed but matchmaking is not triggered.
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 
-const Battle = require('../models/Battle');
+const lifecycle = require('../services/battle-lifecycle');
+const payments = require('../services/payments');
+const ratings = require('../services/ratings');
 
-const ADMIN_KEY = process.env.ADMIN_KEY || 'BattleHub2025Secret!';
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
 const API_BASE = process.env.BASE_URL ? process.env.BASE_URL.replace(/\/$/, '') : 'http://localhost:4000';
 const MATCHMAKING_ENDPOINT = `${API_BASE}/admin/run-matchmaking`;
 
@@ -26,28 +35,23 @@ async function closeDueBattles() {
   running = true;
 
   try {
-    const now = new Date();
-    // find open battles where startAt is set and <= now
-    const due = await Battle.find({ state: 'open', startAt: { $ne: null, $lte: now } });
-    if (due.length === 0) {
+    // open battles whose startAt has passed are closed, or cancelled and
+    // refunded when too few paid entries arrived (services/battle-lifecycle.js)
+    const { closed, cancelled, errors } = await lifecycle.closeDueBattles();
+    if (!closed.length && !cancelled.length && !errors.length) {
       console.log(new Date().toISOString(), 'No due battles to close.');
-      running = false;
       return;
     }
-
-    console.log(new Date().toISOString(), `Closing ${due.length} battle(s):`, due.map(b => b._id.toString()));
-
-    // Mark each as closed (atomic per document)
-    for (const b of due) {
-      try {
-        await Battle.updateOne({ _id: b._id, state: 'open' }, { $set: { state: 'closed' } });
-        console.log('Closed battle', b._id.toString());
-      } catch (err) {
-        console.error('Error closing battle', b._id.toString(), err.message);
-      }
-    }
+    if (closed.length) console.log(new Date().toISOString(), `Closed ${closed.length} battle(s):`, closed);
+    if (cancelled.length) console.log(new Date().toISOString(), `Cancelled ${cancelled.length} battle(s):`, JSON.stringify(cancelled));
+    for (const e of errors) console.error('Error closing battle', e.battleId, e.error);
+    if (!closed.length) return;
 
     // trigger matchmaking to process newly closed battles
+    if (!ADMIN_KEY) {
+      console.warn('ADMIN_KEY not set — skipping matchmaking trigger.');
+      return;
+    }
     try {
       console.log('Triggering matchmaking at', MATCHMAKING_ENDPOINT);
       const resp = await fetch(MATCHMAKING_ENDPOINT, {
@@ -69,6 +73,60 @@ async function closeDueBattles() {
   }
 }
 
+let reconciling = false;
+
+async function reconcilePayments() {
+  if (reconciling) return;
+  reconciling = true;
+  try {
+    const results = await payments.reconcilePending();
+    if (results.length) console.log(new Date().toISOString(), 'Reconciled pending payments:', JSON.stringify(results));
+  } catch (err) {
+    console.error('Error in reconcilePayments:', err.message || err);
+  } finally {
+    reconciling = false;
+  }
+}
+
+let refunding = false;
+
+async function refundPending() {
+  if (refunding) return;
+  refunding = true;
+  try {
+    const { refunded, errors } = await lifecycle.refundPendingEntries();
+    if (refunded.length) console.log(new Date().toISOString(), `Refunded ${refunded.length} unmatched entries:`, refunded);
+    for (const e of errors) console.error('Error refunding entry', e.entry, e.error);
+  } catch (err) {
+    console.error('Error in refundPending:', err.message || err);
+  } finally {
+    refunding = false;
+  }
+}
+
+let rating = false;
+
+async function retryRatings() {
+  if (rating) return;
+  rating = true;
+  try {
+    const { rated, failed } = await ratings.retryPending();
+    if (rated) console.log(new Date().toISOString(), `Rated ${rated} pending result(s).`);
+    for (const f of failed) console.error('Error rating', f.source, f.error);
+  } catch (err) {
+    console.error('Error in retryRatings:', err.message || err);
+  } finally {
+    rating = false;
+  }
+}
+
+async function tick() {
+  await closeDueBattles();
+  await reconcilePayments();
+  await refundPending();
+  await retryRatings();
+}
+
 async function main() {
   const uri = process.env.MONGO_URI;
   if (!uri) {
@@ -81,8 +139,8 @@ async function main() {
 
   console.log('Connected. Starting scheduler loop (checks every 60s).');
   // Run immediately, then every minute
-  closeDueBattles();
-  const interval = setInterval(closeDueBattles, 60 * 1000);
+  tick();
+  const interval = setInterval(tick, 60 * 1000);
 
   // Clean shutdown
   process.on('SIGINT', async () => {
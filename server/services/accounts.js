@@ -0,0 +1,139 @@
+// services/accounts.js
+// Email verification and password reset. Both use signed, expiring tokens
+// (lib/tokens.js) sent by email (services/mail): verification tokens are tied
+// to the address they were sent to, reset tokens to the current password hash,
+// so a reset link stops working once it has been used.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const mail = require('./mail');
+const { signPurposeToken, verifyPurposeToken } = require('../lib/tokens');
+const { AppError } = require('../lib/errors');
+
+const VERIFY_PURPOSE = 'verify_email';
+const RESET_PURPOSE = 'reset_password';
+const VERIFY_TTL = '24h';
+const RESET_TTL = '1h';
+const RESEND_INTERVAL_MS = 60 * 1000;
+const BCRYPT_ROUNDS = 10;
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://battlehub-frontend.vercel.app').replace(/\/$/, '');
+
+function passwordFingerprint(user) {
+  return crypto.createHash('sha256').update(String(user.password || '')).digest('hex').slice(0, 16);
+}
+
+function readToken(token, purpose) {
+  try {
+    return verifyPurposeToken(String(token || ''), purpose);
+  } catch (err) {
+    if (err && err.name === 'TokenExpiredError') throw new AppError(400, 'token_expired', 'This link has expired; request a new one');
+    throw new AppError(400, 'invalid_token', 'This link is invalid');
+  }
+}
+
+// Claim the once-per-RESEND_INTERVAL_MS email slot in `field` (one update, so
+// concurrent requests cannot both send). Returns the claim time, or null when
+// an email went out too recently; `force` claims regardless.
+async function claimSendSlot(userId, field, { force = false } = {}) {
+  const at = new Date();
+  const filter = force ? { _id: userId } : { _id: userId, $or: [{ [field]: null }, { [field]: { $lt: new Date(at.getTime() - RESEND_INTERVAL_MS) } }] };
+  const claimed = await User.updateOne(filter, { $set: { [field]: at } });
+  return claimed.modifiedCount === 1 ? at : null;
+}
+
+// Send `message` in a claimed slot; a failed send gives the slot back so the
+// user can try again straight away.
+async function sendInSlot(userId, field, at, message) {
+  try {
+    await mail.send(message);
+  } catch (err) {
+    await User.updateOne({ _id: userId, [field]: at }, { $unset: { [field]: 1 } });
+    throw err;
+  }
+}
+
+// 403 email_not_verified unless the user confirmed their address.
+function assertVerified(user) {
+  if (!user.verified) throw new AppError(403, 'email_not_verified', 'Verify your email address first');
+}
+
+/**
+ * Email a verification link. Throttled to one message per RESEND_INTERVAL_MS
+ * unless force is set (registration).
+ */
+async function sendVerification(user, { force = false } = {}) {
+  if (user.verified) throw new AppError(409, 'already_verified');
+  const at = await claimSendSlot(user._id, 'verificationSentAt', { force });
+  if (!at) throw new AppError(429, 'too_many_requests', 'A verification email was just sent; check your inbox');
+  const token = signPurposeToken({ id: String(user._id), email: user.email }, VERIFY_PURPOSE, VERIFY_TTL);
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendInSlot(user._id, 'verificationSentAt', at, {
+    to: user.email,
+    subject: 'Confirm your BattleHub email address',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\nConfirm your email address to deposit and join paid battles:\n${link}\n\nThe link is valid for 24 hours.`,
+  });
+}
+
+// Mark the address in the token as verified. Returns the user.
+async function verifyEmail(token) {
+  const payload = readToken(token, VERIFY_PURPOSE);
+  const user = await User.findById(payload.id);
+  // an address changed since the link was sent cannot be confirmed with it
+  if (!user || user.email !== payload.email) throw new AppError(400, 'invalid_token', 'This link is invalid');
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * Email a reset link if the address belongs to an account; silent otherwise.
+ * At most one email per RESEND_INTERVAL_MS per account (further requests are
+ * dropped silently too, so the answer never reveals whether an account exists).
+ */
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email });
+  if (!user) return;
+  const at = await claimSendSlot(user._id, 'passwordResetSentAt');
+  if (!at) return;
+  const token = signPurposeToken({ id: String(user._id), pwd: passwordFingerprint(user) }, RESET_PURPOSE, RESET_TTL);
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendInSlot(user._id, 'passwordResetSentAt', at, {
+    to: user.email,
+    subject: 'Reset your BattleHub password',
+    text: `Someone asked to reset the password of this BattleHub account.\n\nChoose a new password:\n${link}\n\nThe link is valid for 1 hour. If this wasn't you, ignore this email.`,
+  });
+}
+
+/**
+ * Set a new password from a reset token and, since the link proves the
+ * mailbox, mark the email verified. A login lockout is left in place (it also
+ * guards two-factor codes); staff lift it with POST /admin/users/:id/unlock.
+ * Returns the user.
+ */
+async function resetPassword(token, password) {
+  const payload = readToken(token, RESET_PURPOSE);
+  const user = await User.findById(payload.id);
+  if (!user || payload.pwd !== passwordFingerprint(user)) throw new AppError(400, 'invalid_token', 'This link is invalid or was already used');
+
+  const now = new Date();
+  user.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  user.passwordChangedAt = now;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = now;
+  }
+  await user.save();
+  return user;
+}
+
+module.exports = {
+  assertVerified,
+  sendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,239 @@
+// services/audit.js
+// Tamper-evident audit log of admin actions (models/AuditLog.js). Each entry's
+// hash is sha256(previous hash + canonical JSON of the entry), starting from
+// GENESIS, so verifyChain() finds any entry that was edited, removed or
+// reordered. Truncating the newest entries can only be noticed against a
+// lastHash kept elsewhere (e.g. a note of verifyChain()'s result).
+//
+// Routes call recordRequest(req, action, target, { before, after, meta }) after
+// a change succeeds; the actor and request id come from the request. Changes
+// that must never go unrecorded (payouts) call record(entry, { session }) inside
+// their own transaction instead, so the entry commits or aborts with them.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../lib/errors');
+
+const GENESIS = '0'.repeat(64);
+// busy batches (payout-unpaid runs 10 payouts at once) can lose the seq race
+// many times in a row
+const MAX_ATTEMPTS = 50;
+const BACKOFF_MS = 20;
+// never copied into before / after snapshots
+const SECRET_KEYS = new Set(['password', 'secret', 'pendingSecret', 'recoveryCodes', 'lastStep']);
+
+const isObjectId = v => v && (v._bsontype === 'ObjectId' || v instanceof mongoose.Types.ObjectId);
+
+/**
+ * Stable JSON: object keys sorted; null, undefined and empty objects left out
+ * (MongoDB may drop them); dates as ISO strings and ObjectIds as hex, so an
+ * entry hashes the same before it is saved and after it is read back.
+ */
+function canonical(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (isObjectId(value)) return JSON.stringify(String(value));
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeof value === 'object') {
+    const parts = [];
+    for (const key of Object.keys(value).sort()) {
+      const v = value[key];
+      if (v === null || v === undefined) continue;
+      const text = canonical(v);
+      if (text === '{}') continue;
+      parts.push(`${JSON.stringify(key)}:${text}`);
+    }
+    return `{${parts.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashEntry(entry) {
+  const { seq, at, actor, action, target, before, after, meta, requestId, ip } = entry;
+  const body = canonical({ seq, at, actor, action, target, before, after, meta, requestId, ip });
+  return crypto.createHash('sha256').update(`${entry.prevHash}\n${body}`).digest('hex');
+}
+
+// Plain JSON copy of a document or value, without secrets.
+function snapshot(value) {
+  if (value === null || value === undefined) return undefined;
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain, (key, v) => (SECRET_KEYS.has(key) ? undefined : v)));
+}
+
+// Just `fields` of a document, for before / after snapshots of large documents.
+function pick(doc, fields) {
+  if (!doc) return undefined;
+  const src = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const out = {};
+  for (const f of fields) if (src[f] !== undefined) out[f] = src[f];
+  return out;
+}
+
+function userActor(user, role) {
+  return { kind: 'user', user: user._id, email: user.email, role: role || user.role };
+}
+
+// Actor and request context of an admin request (after requireAdmin).
+function fromRequest(req) {
+  const admin = req.admin || {};
+  const actor = admin.user ? userActor(admin.user, admin.role) : { kind: admin.kind || 'service', role: admin.role };
+  return { actor, requestId: req.id, ip: req.ip };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// random wait that grows with the attempt, so racing writers spread out
+function backoff(attempt) {
+  return sleep(Math.random() * BACKOFF_MS * Math.min(attempt, 10));
+}
+
+/**
+ * Append an entry: { actor: { kind, user?, email?, role?, name? }, action,
+ * target?: { type, id }, before?, after?, meta?, requestId?, ip? }. Concurrent
+ * writers race for the next seq (unique); the loser re-reads the tail and
+ * retries. Returns the saved entry.
+ *
+ * With `session` the entry is written in the caller's transaction. A lost seq
+ * race aborts that transaction, so it is rethrown labelled
+ * TransientTransactionError and session.withTransaction() runs the whole
+ * transaction again.
+ */
+async function record({ actor, action, target, before, after, meta, requestId, ip }, { session } = {}) {
+  if (!actor || !actor.kind) throw new Error('audit entry needs an actor');
+  if (!action) throw new Error('audit entry needs an action');
+
+  const body = {
+    actor: { kind: actor.kind, user: actor.user, email: actor.email, role: actor.role, name: actor.name },
+    action: String(action),
+    target: target ? { type: target.type, id: target.id != null ? String(target.id) : undefined } : undefined,
+    before: snapshot(before),
+    after: snapshot(after),
+    meta: snapshot(meta),
+    requestId,
+    ip,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').session(session || null).lean();
+    const entry = { ...body, seq: last ? last.seq + 1 : 1, at: new Date(), prevHash: last ? last.hash : GENESIS };
+    entry.hash = hashEntry(entry);
+    try {
+      if (!session) return await AuditLog.create(entry);
+      const [doc] = await AuditLog.create([entry], { session });
+      return doc;
+    } catch (err) {
+      if (!(err && err.code === 11000)) throw err;
+      if (session) {
+        // a fresh error: the caller's 11000 handling (duplicate payout) must not see this one
+        await backoff(attempt);
+        const retry = new mongoose.mongo.MongoError(`audit seq ${entry.seq} was taken; retrying the transaction`);
+        retry.addErrorLabel('TransientTransactionError');
+        throw retry;
+      }
+      if (attempt >= MAX_ATTEMPTS) throw err;
+      await backoff(attempt);
+    }
+  }
+}
+
+/**
+ * record() for an admin request; `actor` overrides req.admin (staff login).
+ * The change has already happened, so a failed audit write is logged loudly
+ * rather than failing the response.
+ */
+async function recordRequest(req, action, target, { before, after, meta, actor } = {}) {
+  try {
+    const context = fromRequest(req);
+    return await record({ ...context, actor: actor || context.actor, action, target, before, after, meta });
+  } catch (err) {
+    console.error(`AUDIT WRITE FAILED (${action}, request ${req.id}):`, err);
+    return null;
+  }
+}
+
+/**
+ * Re-hash the chain from seq `from` (optionally at most `limit` entries).
+ * Returns { valid: true, checked, lastSeq, lastHash } or { valid: false,
+ * checked, broken: { seq, reason } } with reason missing_entry | prev_hash_mismatch |
+ * hash_mismatch.
+ */
+async function verifyChain({ from = 1, limit } = {}) {
+  let prevHash = GENESIS;
+  if (from > 1) {
+    const previous = await AuditLog.findOne({ seq: from - 1 }).select('hash').lean();
+    if (!previous) return { valid: false, checked: 0, broken: { seq: from - 1, reason: 'missing_entry' } };
+    prevHash = previous.hash;
+  }
+
+  const query = AuditLog.find({ seq: { $gte: from } }).sort({ seq: 1 }).lean();
+  if (limit) query.limit(limit);
+
+  let expected = from;
+  let checked = 0;
+  for await (const entry of query.cursor()) {
+    let reason = null;
+    if (entry.seq !== expected) reason = 'missing_entry';
+    else if (entry.prevHash !== prevHash) reason = 'prev_hash_mismatch';
+    else if (hashEntry(entry) !== entry.hash) reason = 'hash_mismatch';
+    if (reason) return { valid: false, checked, broken: { seq: expected, reason } };
+    prevHash = entry.hash;
+    expected++;
+    checked++;
+  }
+  return { valid: true, checked, lastSeq: expected - 1, lastHash: prevHash };
+}
+
+function parseDate(value, field) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new AppError(400, 'invalid_date', `${field} must be a date`);
+  return d;
+}
+
+/**
+ * Mongo filter from query parameters:
+ *   action      exact, comma-separated, or a prefix ending in * ("payout.*")
+ *   actor       staff email, user id, or service / script
+ *   targetType, targetId, requestId
+ *   from, to    date range on `at`
+ */
+function buildFilter(params = {}) {
+  const q = {};
+  if (params.action) {
+    const actions = String(params.action).split(',').map(a => a.trim()).filter(Boolean);
+    const clauses = actions.map(a => (a.endsWith('*')
+      ? { action: { $regex: `^${a.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } }
+      : { action: a }));
+    if (clauses.length === 1) Object.assign(q, clauses[0]);
+    else if (clauses.length) q.$or = clauses;
+  }
+  if (params.actor) {
+    const actor = String(params.actor).trim();
+    if (actor === 'service' || actor === 'script') q['actor.kind'] = actor;
+    else if (mongoose.isValidObjectId(actor)) q['actor.user'] = actor;
+    else q['actor.email'] = actor.toLowerCase();
+  }
+  if (params.targetType) q['target.type'] = String(params.targetType);
+  if (params.targetId) q['target.id'] = String(params.targetId);
+  if (params.requestId) q.requestId = String(params.requestId);
+  if (params.from || params.to) {
+    q.at = {};
+    if (params.from) q.at.$gte = parseDate(params.from, 'from');
+    if (params.to) q.at.$lte = parseDate(params.to, 'to');
+  }
+  return q;
+}
+
+module.exports = {
+  GENESIS,
+  canonical,
+  hashEntry,
+  snapshot,
+  pick,
+  userActor,
+  fromRequest,
+  record,
+  recordRequest,
+  verifyChain,
+  buildFilter,
+};
@@ -0,0 +1,212 @@
+// services/battle-lifecycle.js
+// The battle state machine. Every state change goes through transition(),
+// which only moves a battle along TRANSITIONS and does so atomically (the
+// current state is part of the update filter), so two workers can never both
+// close, start or cancel the same battle.
+//
+//   open -> closed -> ongoing -> finished
+//   open / closed -> cancelled   (every paid entry is refunded to the wallet)
+//
+// Refunds move the fee back from escrow:battle:<battleId> to the player's
+// wallet, one MongoDB transaction and idempotency key ("refund:<entryId>")
+// per entry, so an interrupted cancellation can simply be run again.
+// Entries left out by matchmaking are marked refundPending in the matchmaking
+// transaction; refundPendingEntries() (run by the scheduler) makes any refund
+// that did not happen right after it.
+const mongoose = require('mongoose');
+const Battle = require('../models/Battle');
+const Entry = require('../models/Entry');
+const Match = require('../models/Match');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+const TRANSITIONS = {
+  open: ['closed', 'cancelled'],
+  closed: ['ongoing', 'cancelled'],
+  ongoing: ['finished'],
+  finished: [],
+  cancelled: [],
+};
+
+// timestamp set when a battle enters a state
+const STAMPS = { closed: 'closedAt', finished: 'finishedAt', cancelled: 'cancelledAt' };
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a battle to state `to`. Throws AppError 404 not_found or
+ * 409 invalid_transition ({ from, to }); returns the updated battle.
+ */
+async function transition(battleId, to, { set = {}, session } = {}) {
+  if (!TRANSITIONS[to]) throw new Error('Unknown battle state: ' + to);
+  if (!mongoose.isValidObjectId(battleId)) throw new AppError(404, 'not_found');
+  const from = Object.keys(TRANSITIONS).filter(s => canTransition(s, to));
+  const update = Object.assign({}, set, { state: to });
+  if (STAMPS[to]) update[STAMPS[to]] = new Date();
+
+  const battle = await Battle.findOneAndUpdate({ _id: battleId, state: { $in: from } }, { $set: update }, { new: true, session });
+  if (battle) return battle;
+
+  const current = await Battle.findById(battleId).session(session || null).lean();
+  if (!current) throw new AppError(404, 'not_found');
+  throw new AppError(409, 'invalid_transition', `Battle cannot go from ${current.state} to ${to}`, { from: current.state, to });
+}
+
+function refundKey(entryId) {
+  return `refund:${entryId}`;
+}
+
+/**
+ * Return one paid entry's fee to the player's wallet. Idempotent.
+ * Returns { entry, refunded } (refunded=false when there was nothing to do).
+ */
+async function refundEntry(entryId, reason) {
+  return ledger.withTransaction(null, async (s) => {
+    const entry = await Entry.findOneAndUpdate(
+      { _id: entryId, paid: true, refunded: { $ne: true }, locked: { $ne: true } },
+      { $set: { refunded: true, refundedAt: new Date() }, $unset: { refundPending: 1 } },
+      { new: true, session: s }
+    );
+    if (!entry) {
+      // nothing (left) to refund: the entry no longer owes one
+      await Entry.updateOne({ _id: entryId, refundPending: { $exists: true } }, { $unset: { refundPending: 1 } }, { session: s });
+      return { entry: null, refunded: false };
+    }
+
+    const fee = entry.fee || money.zero();
+    const note = `Refund of entry fee for battle ${entry.battle} (${reason})`;
+    const posted = await ledger.post({
+      type: 'refund',
+      currency: fee.currency,
+      idempotencyKey: refundKey(entry._id),
+      user: entry.user,
+      battle: entry.battle,
+      note,
+      lines: [
+        { account: ledger.escrowAccount(entry.battle), amount: -fee.amount },
+        { account: ledger.walletAccount(entry.user), amount: fee.amount },
+      ],
+    }, { session: s });
+
+    if (fee.amount > 0) {
+      await Transaction.create([{
+        user: entry.user,
+        battle: entry.battle,
+        amount: { amount: fee.amount, currency: fee.currency },
+        type: 'refund',
+        idempotencyKey: refundKey(entry._id),
+        ledgerEntry: posted ? posted._id : undefined,
+        note,
+      }], { session: s });
+    }
+    return { entry, refunded: true };
+  });
+}
+
+// Refund every given entry, collecting per-entry failures instead of stopping.
+async function refundEntries(entryIds, reason) {
+  const out = { refunded: [], errors: [] };
+  for (const id of entryIds) {
+    try {
+      const r = await refundEntry(id, reason);
+      if (r.refunded) out.refunded.push(String(id));
+    } catch (err) {
+      console.error('[battles] refund failed', String(id), err);
+      out.errors.push({ entry: String(id), error: err.message || String(err) });
+    }
+  }
+  return out;
+}
+
+/**
+ * Scheduler step: make the refunds marked refundPending (entries matchmaking
+ * left out) that were not made right after matchmaking.
+ * Returns { refunded: [entryId], errors: [{ entry, error }] }.
+ */
+async function refundPendingEntries({ limit = 100 } = {}) {
+  const pending = await Entry.find({ refundPending: { $exists: true } }).select('refundPending').limit(limit).lean();
+  const out = { refunded: [], errors: [] };
+  for (const e of pending) {
+    const r = await refundEntries([e._id], e.refundPending);
+    out.refunded.push(...r.refunded);
+    out.errors.push(...r.errors);
+  }
+  return out;
+}
+
+/**
+ * Cancel an open or closed battle and refund its paid entrants. Running it
+ * again on a cancelled battle retries refunds that failed the first time.
+ * Returns { battle, refunded, errors }.
+ */
+async function cancelBattle(battleId, reason) {
+  const text = String(reason || '').trim();
+  if (!text) throw new AppError(400, 'reason_required');
+
+  let battle;
+  try {
+    battle = await transition(battleId, 'cancelled', { set: { cancelReason: text } });
+  } catch (err) {
+    if (!(err instanceof AppError) || err.code !== 'invalid_transition' || err.extra.from !== 'cancelled') throw err;
+    battle = await Battle.findById(battleId);
+  }
+
+  const paid = await Entry.find({ battle: battle._id, paid: true, refunded: { $ne: true } }).select('_id').lean();
+  const result = await refundEntries(paid.map(e => e._id), `battle cancelled: ${battle.cancelReason || text}`);
+  return Object.assign({ battle }, result);
+}
+
+/**
+ * Scheduler step: battles whose startAt has passed are closed for matchmaking,
+ * or cancelled (with refunds) when fewer than battle.minEntrants paid entries arrived.
+ * Returns { closed: [battleId], cancelled: [{ battleId, paidEntries, refunded, errors }] }.
+ */
+async function closeDueBattles(now = new Date()) {
+  const due = await Battle.find({ state: 'open', startAt: { $ne: null, $lte: now } }).sort({ startAt: 1 });
+  const out = { closed: [], cancelled: [], errors: [] };
+
+  for (const b of due) {
+    try {
+      const paidEntries = await Entry.countDocuments({ battle: b._id, paid: true });
+      if (paidEntries < (b.minEntrants || 2)) {
+        const r = await cancelBattle(b._id, `not enough paid entries by start time (${paidEntries}/${b.minEntrants || 2})`);
+        out.cancelled.push({ battleId: String(b._id), paidEntries, refunded: r.refunded.length, errors: r.errors });
+      } else {
+        await transition(b._id, 'closed');
+        out.closed.push(String(b._id));
+      }
+    } catch (err) {
+      out.errors.push({ battleId: String(b._id), error: err.message || String(err) });
+    }
+  }
+  return out;
+}
+
+// Mark an ongoing battle finished once every one of its matches has been paid out.
+async function finishIfComplete(battleId) {
+  const open = await Match.exists({ battle: battleId, payoutProcessed: { $ne: true } });
+  if (open) return null;
+  try {
+    return await transition(battleId, 'finished');
+  } catch (err) {
+    if (err instanceof AppError && err.code === 'invalid_transition') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transition,
+  refundEntry,
+  refundEntries,
+  refundPendingEntries,
+  cancelBattle,
+  closeDueBattles,
+  finishIfComplete,
+  refundKey,
+};
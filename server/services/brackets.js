@@ -0,0 +1,267 @@
+// services/brackets.js
+// Single- and double-elimination brackets for tournament Games. A bracket is
+// a plain object stored on Game.bracket; these functions build it and advance
+// it in place as results are reported.
+//
+// Every match has two slots fed either by seeding (round 1) or by the winner /
+// loser of an earlier match (winnerTo / loserTo). A slot is `filled` once its
+// source is decided, possibly with nobody in it (a bye further up). When both
+// slots are filled a match becomes 'ready' (two players), a 'bye' (one player,
+// who advances at once) or 'void' (nobody; it passes nobody on).
+//
+// Double elimination: losers of winners round 1 meet in losers round 1; in
+// every even losers round the losers dropping out of the next winners round
+// (in reverse order, to avoid early rematches) meet the survivors. The grand
+// final puts the winners-bracket champion in slot 0; if the losers-bracket
+// champion wins it, a deciding second final (GF-2) is played.
+const crypto = require('crypto');
+const { AppError } = require('../lib/errors');
+
+const FORMATS = ['single', 'double'];
+const SEEDINGS = ['random', 'rating'];
+
+// Seed numbers (1-based) in bracket position order, so that seeds 1 and 2 can
+// only meet in the final: 4 -> [1, 4, 2, 3].
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(s => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Seed order (best first). players: [{ username, rating? }]. 'rating' sorts by
+ * rating (ties keep roster order), 'random' shuffles.
+ */
+function seedPlayers(players, seeding = 'random') {
+  if (seeding === 'rating') {
+    return players
+      .map((p, i) => ({ p, i }))
+      .sort((a, b) => (b.p.rating || 0) - (a.p.rating || 0) || a.i - b.i)
+      .map(x => x.p.username);
+  }
+  return shuffle(players.map(p => p.username));
+}
+
+function newMatch(code, bracket, round, position) {
+  return {
+    code,
+    bracket,
+    round,
+    position,
+    players: [null, null],
+    filled: [false, false],
+    scores: [],
+    winner: null,
+    loser: null,
+    status: 'waiting',
+    winnerTo: null,
+    loserTo: null,
+    completedAt: null,
+  };
+}
+
+// matches in losers round lr of a bracket of `size` slots
+function losersRoundSize(size, lr) {
+  return size / 2 ** (Math.ceil(lr / 2) + 1);
+}
+
+/**
+ * Build a bracket for `seeds` (usernames, best first). Byes go to the top
+ * seeds and are resolved immediately.
+ */
+function build(seeds, { format = 'single', seeding = 'random' } = {}) {
+  if (!FORMATS.includes(format)) throw new AppError(400, 'invalid_format', `format must be one of ${FORMATS.join(', ')}`);
+  if (seeds.length < 2) throw new AppError(409, 'not_enough_players', 'a bracket needs at least 2 players');
+
+  const size = 2 ** Math.ceil(Math.log2(seeds.length));
+  const rounds = Math.log2(size);
+  const double = format === 'double';
+  const matches = [];
+  const code = (prefix, round, i) => `${prefix}${round}-${i + 1}`;
+
+  for (let r = 1; r <= rounds; r++) {
+    for (let i = 0; i < size / 2 ** r; i++) {
+      const m = newMatch(code('W', r, i), 'winners', r, i + 1);
+      if (r < rounds) m.winnerTo = { match: code('W', r + 1, Math.floor(i / 2)), slot: i % 2 };
+      else if (double) m.winnerTo = { match: 'GF-1', slot: 0 };
+      matches.push(m);
+    }
+  }
+
+  if (double) {
+    const lastLosers = 2 * (rounds - 1);
+    for (let lr = 1; lr <= lastLosers; lr++) {
+      for (let i = 0; i < losersRoundSize(size, lr); i++) {
+        const m = newMatch(code('L', lr, i), 'losers', lr, i + 1);
+        if (lr === lastLosers) m.winnerTo = { match: 'GF-1', slot: 1 };
+        else if (lr % 2) m.winnerTo = { match: code('L', lr + 1, i), slot: 0 };
+        else m.winnerTo = { match: code('L', lr + 1, Math.floor(i / 2)), slot: i % 2 };
+        matches.push(m);
+      }
+    }
+    for (const m of matches.filter(x => x.bracket === 'winners')) {
+      if (rounds === 1) {
+        m.loserTo = { match: 'GF-1', slot: 1 };
+      } else if (m.round === 1) {
+        m.loserTo = { match: code('L', 1, Math.floor((m.position - 1) / 2)), slot: (m.position - 1) % 2 };
+      } else {
+        const lr = 2 * (m.round - 1);
+        m.loserTo = { match: code('L', lr, losersRoundSize(size, lr) - m.position), slot: 1 };
+      }
+    }
+    matches.push(newMatch('GF-1', 'final', 1, 1), newMatch('GF-2', 'final', 2, 1));
+  }
+
+  const bracket = { format, seeding, size, seeds: seeds.slice(), champion: null, revision: 0, matches };
+
+  const order = seedOrder(size);
+  const first = matches.filter(m => m.bracket === 'winners' && m.round === 1);
+  first.forEach((m, i) => {
+    m.players = [seeds[order[2 * i] - 1] || null, seeds[order[2 * i + 1] - 1] || null];
+    m.filled = [true, true];
+  });
+  for (const m of first) settle(bracket, m);
+  return bracket;
+}
+
+function findMatch(bracket, matchCode) {
+  return bracket.matches.find(m => m.code === matchCode) || null;
+}
+
+// Both slots known: start the match, or pass a lone player / nobody straight through.
+function settle(bracket, m) {
+  if (m.status !== 'waiting' || !m.filled[0] || !m.filled[1]) return;
+  const present = m.players.filter(Boolean);
+  if (present.length === 2) {
+    m.status = 'ready';
+    return;
+  }
+  m.status = present.length ? 'bye' : 'void';
+  m.winner = present[0] || null;
+  m.loser = null;
+  resolve(bracket, m);
+}
+
+function place(bracket, to, player) {
+  const target = findMatch(bracket, to.match);
+  target.players[to.slot] = player || null;
+  target.filled[to.slot] = true;
+  settle(bracket, target);
+}
+
+// Send a decided match's winner and loser on, and crown the champion at the end.
+function resolve(bracket, m) {
+  if (m.winnerTo) place(bracket, m.winnerTo, m.winner);
+  if (m.loserTo) place(bracket, m.loserTo, m.loser);
+
+  if (m.code === 'GF-1') {
+    const reset = findMatch(bracket, 'GF-2');
+    if (m.status === 'completed' && m.winner === m.players[1]) {
+      // the winners-bracket champion's first loss: play again
+      reset.players = m.players.slice();
+      reset.filled = [true, true];
+      reset.status = 'ready';
+    } else {
+      reset.status = 'void';
+      bracket.champion = m.winner;
+    }
+  } else if (m.code === 'GF-2' || (!m.winnerTo && m.bracket === 'winners')) {
+    bracket.champion = m.winner;
+  }
+}
+
+/**
+ * Record the result of a ready match and advance the bracket. `winner` is
+ * matched case-insensitively against the two players. Returns the match.
+ */
+function reportResult(bracket, matchCode, winner, scores) {
+  const m = findMatch(bracket, matchCode);
+  if (!m) throw new AppError(404, 'bracket_match_not_found');
+  if (m.status !== 'ready') throw new AppError(409, 'bracket_match_not_ready', `match ${m.code} is ${m.status}`, { status: m.status });
+
+  const name = String(winner || '').trim().toLowerCase();
+  const w = m.players.find(p => p.toLowerCase() === name);
+  if (!w) throw new AppError(400, 'invalid_winner', 'winner must be one of the match players', { players: m.players });
+  if (scores !== undefined) {
+    if (!Array.isArray(scores) || scores.length !== 2 || !scores.every(s => Number.isFinite(Number(s)))) {
+      throw new AppError(400, 'invalid_scores', 'scores must be [slot 0 score, slot 1 score]');
+    }
+    m.scores = scores.map(Number);
+  }
+
+  m.winner = w;
+  m.loser = m.players.find(p => p !== w);
+  m.status = 'completed';
+  m.completedAt = new Date();
+  resolve(bracket, m);
+  bracket.revision = (bracket.revision || 0) + 1;
+  return m;
+}
+
+/**
+ * Final standings once a champion is known: [{ username, place }]. Players
+ * knocked out at the same stage share a place (two losing semi-finalists are
+ * both 3rd).
+ */
+function placements(bracket) {
+  if (!bracket.champion) return [];
+  const stage = new Map();
+  for (const m of bracket.matches) {
+    if (m.status !== 'completed' || !m.loser) continue;
+    // single: knocked out in winners round r; double: in losers round lr or a grand final
+    let key;
+    if (m.bracket === 'final') key = 1000 + m.round;
+    else if (bracket.format === 'double' && m.bracket === 'winners') continue;
+    else key = m.round;
+    stage.set(m.loser, Math.max(stage.get(m.loser) || 0, key));
+  }
+  stage.set(bracket.champion, Infinity);
+  const keys = [...stage.values()];
+  return [...stage.entries()].map(([username, key]) => ({ username, place: 1 + keys.filter(k => k > key).length }));
+}
+
+// Bracket grouped by side and round, the shape the admin UI renders.
+function view(bracket) {
+  const group = (side) => {
+    const rounds = [];
+    for (const m of bracket.matches.filter(x => x.bracket === side)) {
+      (rounds[m.round - 1] = rounds[m.round - 1] || []).push(m);
+    }
+    return rounds.map((matches, i) => ({ round: i + 1, matches }));
+  };
+  return {
+    format: bracket.format,
+    seeding: bracket.seeding,
+    size: bracket.size,
+    seeds: bracket.seeds,
+    champion: bracket.champion,
+    revision: bracket.revision,
+    winners: group('winners'),
+    losers: group('losers'),
+    final: group('final'),
+    placements: placements(bracket),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  SEEDINGS,
+  seedOrder,
+  seedPlayers,
+  build,
+  reportResult,
+  placements,
+  view,
+};
@@ -0,0 +1,107 @@
+// services/entry-fees.js
+// Settles a battle entry fee once the money has arrived: the entry is marked
+// paid, the fee moves into the battle's escrow account in the ledger and an
+// entry_fee Transaction is recorded — all in one MongoDB transaction.
+// Idempotent per entry (ledger key "entry_fee:<entryId>").
+//
+// The fee comes either from a payment provider (clearing:<provider>) or, with
+// provider 'wallet', straight from the player's wallet balance.
+//
+// Fees are only taken into escrow while the battle is open: once it has been
+// closed its entries may already be matched (or refunded on cancellation), so
+// a fee arriving later would be stuck there. The battle is written in the same
+// transaction, so settlement and a concurrent state change never interleave.
+const Entry = require('../models/Entry');
+const Battle = require('../models/Battle');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+const WALLET = 'wallet';
+
+function entryFeeKey(entryId) {
+  return `entry_fee:${entryId}`;
+}
+
+/**
+ * Mark an entry paid with money received from `provider` (e.g. 'pesapal'), or
+ * debited from the player's wallet when provider is 'wallet' (AppError 409
+ * insufficient_funds rolls everything back).
+ * Returns { entry, alreadyPaid, battleState? }; battleState is set (and nothing
+ * is written) when the battle is no longer open. Wallet payments throw 409
+ * battle_not_open instead.
+ */
+async function settleEntryFee(entryId, { provider, reference, session } = {}) {
+  return ledger.withTransaction(session, async (s) => {
+    const entry = await Entry.findById(entryId).session(s);
+    if (!entry) throw new Error('Entry not found: ' + entryId);
+    if (entry.paid) return { entry, alreadyPaid: true };
+
+    const open = await Battle.findOneAndUpdate(
+      { _id: entry.battle, state: 'open' },
+      { $set: { lastEntryPaidAt: new Date() } },
+      { session: s }
+    );
+    if (!open) {
+      if (provider === WALLET) throw new AppError(409, 'battle_not_open');
+      const battle = await Battle.findById(entry.battle).select('state').session(s).lean();
+      return { entry, alreadyPaid: false, battleState: battle ? battle.state : 'missing' };
+    }
+
+    const claim = await Entry.updateOne({ _id: entry._id, paid: false }, {
+      $set: { paid: true, paidAt: new Date(), paidWith: provider, paymentRef: reference },
+    }, { session: s });
+    if (claim.modifiedCount !== 1) return { entry, alreadyPaid: true };
+
+    const fee = entry.fee || money.zero();
+    const source = provider === WALLET ? ledger.walletAccount(entry.user) : ledger.clearingAccount(provider);
+    const note = `Entry fee for battle ${entry.battle} via ${provider}${reference ? ` (${reference})` : ''}`;
+    const posted = await ledger.post({
+      type: 'entry_fee',
+      currency: fee.currency,
+      idempotencyKey: entryFeeKey(entry._id),
+      user: entry.user,
+      battle: entry.battle,
+      note,
+      lines: [
+        { account: source, amount: -fee.amount },
+        { account: ledger.escrowAccount(entry.battle), amount: fee.amount },
+      ],
+    }, { session: s });
+
+    if (fee.amount > 0) {
+      await Transaction.create([{
+        user: entry.user,
+        battle: entry.battle,
+        amount: { amount: fee.amount, currency: fee.currency },
+        type: 'entry_fee',
+        idempotencyKey: entryFeeKey(entry._id),
+        ledgerEntry: posted ? posted._id : undefined,
+        note,
+      }], { session: s });
+    }
+
+    entry.paid = true;
+    entry.paidWith = provider;
+    entry.paymentRef = reference;
+    return { entry, alreadyPaid: false };
+  });
+}
+
+/**
+ * Pay one of the user's unpaid entries from their wallet balance.
+ * Returns { entry, alreadyPaid }.
+ */
+async function payEntryFromWallet(user, entryId) {
+  const entry = await Entry.findById(entryId);
+  if (!entry || String(entry.user) !== String(user._id)) throw new AppError(404, 'not_found');
+  if (entry.paid) throw new AppError(409, 'already_paid');
+
+  const battle = await Battle.findById(entry.battle).lean();
+  if (!battle || battle.state !== 'open') throw new AppError(409, 'battle_not_open');
+
+  return settleEntryFee(entry._id, { provider: WALLET });
+}
+
+module.exports = { settleEntryFee, payEntryFromWallet, entryFeeKey, WALLET };
@@ -0,0 +1,183 @@
+// services/fairness.js
+// Provably fair winner selection (commit–reveal, scheme commit-reveal-v2).
+//
+//   1. commit: when a battle is created a random server seed is generated and
+//      only sha256(seed) is published on it (drawSeedHash, drawCommittedAt),
+//      before anyone has joined.
+//   2. join:   every entrant brings a client seed (their own, or a random one
+//      when they give none) that the server cannot know when it commits.
+//   3. draw:   at matchmaking, for each match
+//              index = HMAC-SHA256(seed, "<battleId>|<clientSeed,clientSeed,...>")
+//              first 16 hex chars as an unsigned integer, mod entrants,
+//              over the match's entrants in its entries order.
+//   4. reveal: the seed is shown on the battle's matches once they are drawn,
+//      so anyone can check sha256(seed) === seedHash, that the commitment
+//      predates the entries, and recompute the draw.
+//
+// Nothing the server picks after committing (match or entry ids) goes into the
+// draw, so it cannot steer the outcome by regenerating either.
+//
+// Battles that pay several places draw them one after another: 1st place is
+// the draw above, then each next place is drawn the same way from the entrants
+// still left (the message lists only those), so 1st place is always exactly
+// the single-winner draw.
+//
+// commit-reveal-v1 matches (seed generated, used and revealed at matchmaking,
+// message "<matchId>|<entryId,...>") can still be recomputed, but never
+// guaranteed anything: the server could have drawn again with a fresh seed.
+const crypto = require('crypto');
+
+const SCHEME = 'commit-reveal-v2';
+const V1_SCHEME = 'commit-reveal-v1';
+const LEGACY_SCHEME = 'hmac-legacy';
+// [A-Za-z0-9_-] keeps the comma-joined draw message unambiguous
+const CLIENT_SEED = /^[\w-]{1,64}$/;
+const MATCH_SECRET = process.env.MATCH_SECRET || 'my_battlehub_secret_key';
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+// Battle fields of a fresh commitment; drawSeed stays secret until the reveal.
+function commitment() {
+  const drawSeed = generateServerSeed();
+  return { drawSeed, drawSeedHash: hashSeed(drawSeed), drawCommittedAt: new Date() };
+}
+
+// An entrant's client seed: theirs when valid (undefined when not), or a random one.
+function clientSeed(given) {
+  if (given === undefined || given === null || given === '') return crypto.randomBytes(16).toString('hex');
+  const text = String(given);
+  return CLIENT_SEED.test(text) ? text : undefined;
+}
+
+// `key` is the battle id (v2) or match id (v1); `ids` the client seeds (v2) or entry ids (v1)
+function drawMessage(key, ids) {
+  return `${key}|${ids.map(String).join(',')}`;
+}
+
+function drawIndex(seed, key, ids) {
+  if (!ids.length) throw new Error('cannot draw from an empty match');
+  const digest = crypto.createHmac('sha256', String(seed)).update(drawMessage(key, ids)).digest('hex');
+  return Number(BigInt('0x' + digest.slice(0, 16)) % BigInt(ids.length));
+}
+
+// Positions in `ids` in place order for the first `places` places.
+function drawOrder(seed, key, ids, places = 1) {
+  const remaining = ids.map((id, i) => i);
+  const order = [];
+  while (order.length < places && remaining.length) {
+    const idx = drawIndex(seed, key, remaining.map(i => ids[i]));
+    order.push(remaining.splice(idx, 1)[0]);
+  }
+  return order;
+}
+
+// Entry ids in place order: v2 draws on the client seeds (same order as
+// entryIds), v1 on the entry ids themselves.
+function drawRanking(seed, key, entryIds, places = 1, clientSeeds = null) {
+  return drawOrder(seed, key, clientSeeds || entryIds, places).map(i => String(entryIds[i]));
+}
+
+// Matches created before commit–reveal stored seed = "<matchId>|<ts>" and drew
+// with the server-only MATCH_SECRET, so only the server can recompute them.
+function legacyDrawIndex(matchId, ts, entriesLength) {
+  const digest = crypto.createHmac('sha256', MATCH_SECRET).update(String(matchId) + '|' + ts).digest('hex');
+  const num = parseInt(digest.slice(0, 16), 16);
+  return num % entriesLength;
+}
+
+/**
+ * Recompute the draw for a match (plain object or document).
+ * `allowLegacy` lets admin callers re-check old MATCH_SECRET draws.
+ */
+function verifyMatch(match, { allowLegacy = false } = {}) {
+  const matchId = String(match._id);
+  const entryIds = (match.entries || []).map(e => String(e && e._id ? e._id : e));
+  const storedWinner = match.winnerEntry ? String(match.winnerEntry._id || match.winnerEntry) : null;
+  const scheme = match.drawScheme || (match.seedHash ? V1_SCHEME : LEGACY_SCHEME);
+  const v2 = scheme === SCHEME;
+  // v2 draws on the battle id and the entrants' client seeds, v1 on the match and entry ids
+  const key = v2 ? String(match.battle && match.battle._id ? match.battle._id : match.battle) : matchId;
+  const clientSeeds = v2 ? (match.clientSeeds || []).map(String) : null;
+
+  const report = {
+    matchId,
+    scheme,
+    seedHash: match.seedHash || null,
+    seedCommittedAt: match.seedCommittedAt || null,
+    seed: match.seedRevealedAt || scheme === LEGACY_SCHEME ? (match.seed || null) : null,
+    revealed: Boolean(match.seedRevealedAt),
+    entries: entryIds,
+    clientSeeds,
+    message: scheme === LEGACY_SCHEME ? null : drawMessage(key, clientSeeds || entryIds),
+    storedWinnerEntry: storedWinner,
+    computedWinnerIndex: null,
+    computedWinnerEntry: null,
+    storedRanking: null,
+    computedRanking: null,
+    commitmentValid: null,
+    verified: false,
+  };
+
+  if (!entryIds.length) return { ...report, reason: 'no_entries' };
+  // placings reported by the participants (services/match-results.js): nothing was drawn
+  if (match.resultMode === 'reported') return { ...report, scheme: null, reason: 'reported_result' };
+
+  if (scheme === LEGACY_SCHEME) {
+    const ts = match.seed ? String(match.seed).split('|')[1] : null;
+    if (!allowLegacy) return { ...report, seed: null, reason: 'legacy_match_not_publicly_verifiable' };
+    if (!ts) return { ...report, reason: 'seed_missing' };
+    const idx = legacyDrawIndex(matchId, ts, entryIds.length);
+    return {
+      ...report,
+      computedWinnerIndex: idx,
+      computedWinnerEntry: entryIds[idx],
+      verified: entryIds[idx] === storedWinner,
+    };
+  }
+
+  if (!report.revealed || !match.seed) return { ...report, reason: 'seed_not_revealed' };
+  if (v2 && clientSeeds.length !== entryIds.length) return { ...report, reason: 'client_seeds_missing' };
+
+  const commitmentValid = hashSeed(match.seed) === match.seedHash;
+  const idx = drawOrder(match.seed, key, clientSeeds || entryIds)[0];
+
+  // multi-place matches: every drawn placing must match too
+  const results = (match.results || []).slice().sort((a, b) => a.place - b.place);
+  let rankingValid = true;
+  if (results.length > 1) {
+    report.storedRanking = results.map(r => String(r.entry && r.entry._id ? r.entry._id : r.entry));
+    report.computedRanking = drawRanking(match.seed, key, entryIds, results.length, clientSeeds);
+    rankingValid = report.computedRanking.join(',') === report.storedRanking.join(',');
+  }
+
+  return {
+    ...report,
+    commitmentValid,
+    computedWinnerIndex: idx,
+    computedWinnerEntry: entryIds[idx],
+    verified: commitmentValid && entryIds[idx] === storedWinner && rankingValid,
+  };
+}
+
+module.exports = {
+  SCHEME,
+  V1_SCHEME,
+  LEGACY_SCHEME,
+  CLIENT_SEED,
+  generateServerSeed,
+  hashSeed,
+  commitment,
+  clientSeed,
+  drawMessage,
+  drawIndex,
+  drawOrder,
+  drawRanking,
+  legacyDrawIndex,
+  verifyMatch,
+};
@@ -0,0 +1,79 @@
+// services/fees.js
+// Platform fee rules (models/FeeRule.js). resolveFeeRule() picks the rule for
+// a battle, applyFeeRule() turns it into a platform cut for a given pot.
+// Matchmaking stores snapshot(rule) on every Match, and payouts only ever use
+// that snapshot, so editing a rule never changes an existing match.
+const FeeRule = require('../models/FeeRule');
+const money = require('../lib/money');
+
+// used when no rule is configured at all
+const DEFAULT_RULE = Object.freeze({ name: 'built-in default', scope: 'default', rate: 0.15, tiers: [] });
+
+/**
+ * Most specific active rule for a battle: battle override, then sport, then
+ * default; within each scope a rule for the battle's currency beats an
+ * any-currency rule. Falls back to DEFAULT_RULE.
+ */
+async function resolveFeeRule(battle) {
+  const currency = (battle.entryFee && battle.entryFee.currency) || money.DEFAULT_CURRENCY;
+  const rules = await FeeRule.find({
+    active: true,
+    currency: { $in: [currency, null] },
+    $or: [
+      { scope: 'battle', battle: battle._id },
+      { scope: 'sport', sport: String(battle.sport || '').toLowerCase() },
+      { scope: 'default' },
+    ],
+  }).sort({ updatedAt: -1 }).lean();
+
+  const rank = r => ({ battle: 0, sport: 2, default: 4 }[r.scope] + (r.currency ? 0 : 1));
+  rules.sort((a, b) => rank(a) - rank(b));
+  return rules[0] || DEFAULT_RULE;
+}
+
+// Rate for a pot: the highest tier whose minPot the pot reaches, else the base rate.
+function rateFor(rule, pot) {
+  let rate = rule.rate;
+  if (rule.currency && rule.currency !== pot.currency) return rate;
+  let best = -1;
+  for (const t of rule.tiers || []) {
+    if (pot.amount >= t.minPot && t.minPot > best) {
+      best = t.minPot;
+      rate = t.rate;
+    }
+  }
+  return rate;
+}
+
+/**
+ * Platform cut of `pot` (Money) under `rule` (a FeeRule or a snapshot):
+ * tiered rate, then the fixed minimum and cap, never more than the pot.
+ * Tiers, minimum and cap only apply when the rule's currency is the pot's.
+ * Returns { platformCut, rate }.
+ */
+function applyFeeRule(rule, pot) {
+  const rate = rateFor(rule, pot);
+  let cut = money.multiply(pot, rate).amount;
+  if (!rule.currency || rule.currency === pot.currency) {
+    if (rule.minimum != null) cut = Math.max(cut, rule.minimum);
+    if (rule.cap != null) cut = Math.min(cut, rule.cap);
+  }
+  cut = Math.min(Math.max(cut, 0), pot.amount);
+  return { platformCut: money.money(cut, pot.currency), rate };
+}
+
+// The fields of a rule that decide the fee, as stored on Match.feeRule.
+function snapshot(rule) {
+  return {
+    rule: rule._id || null,
+    name: rule.name,
+    scope: rule.scope,
+    currency: rule.currency || null,
+    rate: rule.rate,
+    tiers: (rule.tiers || []).map(t => ({ minPot: t.minPot, rate: t.rate })),
+    minimum: rule.minimum != null ? rule.minimum : null,
+    cap: rule.cap != null ? rule.cap : null,
+  };
+}
+
+module.exports = { DEFAULT_RULE, resolveFeeRule, applyFeeRule, snapshot };
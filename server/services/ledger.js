@@ -0,0 +1,188 @@
+// services/ledger.js
+// Double-entry wallet ledger. Every movement of money is one balanced
+// single-currency LedgerEntry in integer minor units; account balances
+// (LedgerAccount.balance, one row per account and currency) are updated in the
+// same MongoDB transaction and can be recomputed from the entries at any time.
+//
+// Accounts:
+//   wallet:<userId>          player wallet (may not go negative)
+//   platform:revenue         platform fees
+//   escrow:battle:<battleId> entry fees held until the battle is paid out / refunded
+//   escrow:withdrawal:<id>   funds reserved for a withdrawal until it is paid or released
+//   clearing:<provider>      money moving in/out through a payment provider
+//   equity:opening           opening balances migrated from User.balanceUSD
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const { AppError } = require('../lib/errors');
+const { normalizeCurrency } = require('../lib/money');
+
+const PLATFORM_REVENUE = 'platform:revenue';
+const OPENING_EQUITY = 'equity:opening';
+const ADJUSTMENTS = 'equity:adjustments'; // manual corrections by finance staff
+
+function walletAccount(userId) {
+  return `wallet:${userId}`;
+}
+
+function escrowAccount(battleId) {
+  return `escrow:battle:${battleId}`;
+}
+
+function withdrawalHoldAccount(withdrawalId) {
+  return `escrow:withdrawal:${withdrawalId}`;
+}
+
+function clearingAccount(provider) {
+  return `clearing:${provider}`;
+}
+
+function accountType(code) {
+  const prefix = String(code).split(':')[0];
+  return { wallet: 'wallet', platform: 'revenue', escrow: 'escrow', clearing: 'clearing', equity: 'equity' }[prefix];
+}
+
+// Run fn(session) inside the caller's session, or in a fresh transaction.
+async function withTransaction(session, fn) {
+  if (session) return fn(session);
+  const own = await mongoose.startSession();
+  try {
+    let result;
+    await own.withTransaction(async () => { result = await fn(own); });
+    return result;
+  } finally {
+    await own.endSession();
+  }
+}
+
+async function applyLine(line, currency, session) {
+  const code = line.account;
+  const type = accountType(code);
+  if (!type) throw new Error('unknown ledger account: ' + code);
+
+  // wallets can never be overdrawn: the debit only matches when funds suffice
+  if (type === 'wallet' && line.amount < 0) {
+    const updated = await LedgerAccount.findOneAndUpdate(
+      { code, currency, balance: { $gte: -line.amount } },
+      { $inc: { balance: line.amount } },
+      { session, new: true }
+    );
+    if (!updated) throw new AppError(409, 'insufficient_funds', 'Wallet balance is too low', { account: code, currency });
+    return;
+  }
+
+  const setOnInsert = { type, createdAt: new Date() };
+  if (type === 'wallet') setOnInsert.user = code.slice('wallet:'.length);
+  await LedgerAccount.updateOne(
+    { code, currency },
+    { $inc: { balance: line.amount }, $setOnInsert: setOnInsert },
+    { session, upsert: true }
+  );
+}
+
+/**
+ * Post a balanced entry.
+ *   post({ type, currency, lines: [{ account, amount }], idempotencyKey?, user?, match?, battle?, note? }, { session? })
+ * Amounts are integer minor units of `currency`. Zero-amount lines are dropped;
+ * an entry whose lines are all zero is not posted (returns null). A repeated
+ * idempotencyKey fails with the duplicate key error.
+ */
+async function post(entry, { session } = {}) {
+  const currency = normalizeCurrency(entry.currency);
+  const lines = (entry.lines || [])
+    .map(l => ({ account: l.account, amount: l.amount }))
+    .filter(l => l.amount !== 0);
+  if (!lines.length) return null;
+  if (lines.some(l => !Number.isSafeInteger(l.amount))) {
+    throw new Error('ledger amounts must be integer minor units: ' + JSON.stringify(lines));
+  }
+  if (lines.reduce((s, l) => s + l.amount, 0) !== 0) {
+    throw new Error('unbalanced ledger entry: ' + JSON.stringify(lines));
+  }
+
+  return withTransaction(session, async (s) => {
+    const [doc] = await LedgerEntry.create([Object.assign({}, entry, { currency, lines })], { session: s });
+    for (const line of lines) await applyLine(line, currency, s);
+    return doc;
+  });
+}
+
+// Balance of one account in one currency, as { amount, currency }.
+async function balanceOf(code, currency, { session } = {}) {
+  const c = normalizeCurrency(currency);
+  const acct = await LedgerAccount.findOne({ code, currency: c }).session(session || null).lean();
+  return { amount: acct ? acct.balance : 0, currency: c };
+}
+
+// Wallet balances for several users at once: { [userId]: [{ amount, currency }, ...] }
+async function walletBalances(userIds) {
+  const codes = userIds.map(id => walletAccount(id));
+  const accts = await LedgerAccount.find({ code: { $in: codes } }).sort({ currency: 1 }).lean();
+  const out = {};
+  for (const id of userIds) out[String(id)] = [];
+  for (const a of accts) {
+    out[a.code.slice('wallet:'.length)].push({ amount: a.balance, currency: a.currency });
+  }
+  return out;
+}
+
+// Sum an account's lines straight from the journal (source of truth).
+async function recomputeBalance(code, currency) {
+  const c = normalizeCurrency(currency);
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { 'lines.account': code, currency: c } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': code } },
+    { $group: { _id: null, total: { $sum: '$lines.amount' } } },
+  ]);
+  return { amount: row ? row.total : 0, currency: c };
+}
+
+/**
+ * Account statement in one currency with running balance, oldest first.
+ * Returns { account, currency, balance, lines: [{ entryId, type, note, createdAt, amount, balance }] }
+ * limited to the last `limit` lines (the running balance still covers the full history).
+ */
+async function statement(code, currency, { limit = 100 } = {}) {
+  const c = normalizeCurrency(currency);
+  const entries = await LedgerEntry.find({ 'lines.account': code, currency: c })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  let running = 0;
+  const lines = [];
+  for (const e of entries) {
+    for (const l of e.lines) {
+      if (l.account !== code) continue;
+      running += l.amount;
+      lines.push({
+        entryId: e._id,
+        type: e.type,
+        note: e.note || null,
+        match: e.match || null,
+        battle: e.battle || null,
+        createdAt: e.createdAt,
+        amount: l.amount,
+        balance: running,
+      });
+    }
+  }
+
+  return { account: code, currency: c, balance: running, lines: lines.slice(-limit) };
+}
+
+module.exports = {
+  PLATFORM_REVENUE,
+  OPENING_EQUITY,
+  ADJUSTMENTS,
+  walletAccount,
+  escrowAccount,
+  withdrawalHoldAccount,
+  clearingAccount,
+  withTransaction,
+  post,
+  balanceOf,
+  walletBalances,
+  recomputeBalance,
+  statement,
+};
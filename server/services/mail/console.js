@@ -0,0 +1,17 @@
+// services/mail/console.js
+// Prints messages to stdout instead of sending them (the default locally).
+const name = 'console';
+
+async function send(message) {
+  console.log([
+    `[mail] ${message.date} ${message.id}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text,
+  ].join('\n'));
+  return { id: message.id };
+}
+
+module.exports = { name, send };
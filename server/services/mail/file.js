@@ -0,0 +1,17 @@
+// services/mail/file.js
+// Appends messages as JSON lines to MAIL_DIR/outbox-YYYY-MM-DD.jsonl
+// (default server/logs/mail), so tests and local runs can read the links.
+const fs = require('fs');
+const path = require('path');
+
+const name = 'file';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'logs', 'mail');
+
+async function send(message) {
+  await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+  const file = path.join(MAIL_DIR, `outbox-${message.date.slice(0, 10)}.jsonl`);
+  await fs.promises.appendFile(file, JSON.stringify(message) + '\n', 'utf8');
+  return { id: message.id, raw: { file } };
+}
+
+module.exports = { name, send };
@@ -0,0 +1,46 @@
+// services/mail/index.js
+// Transport-agnostic outgoing email. Every transport module exports:
+//
+//   name                                   'console', 'file', ...
+//   send({ from, to, subject, text, html? })
+//       -> { id, raw? }
+//
+// MAIL_TRANSPORT picks the transport (default "console"), MAIL_FROM the sender.
+// The console and file transports are for local use; a real delivery
+// transport plugs in by adding it to TRANSPORTS. With NODE_ENV=production the
+// local ones are refused (503 mail_not_configured): they would put
+// verification and reset links, which are credentials, into the server logs.
+const crypto = require('crypto');
+const { AppError } = require('../../lib/errors');
+
+const TRANSPORTS = {
+  console: require('./console'),
+  file: require('./file'),
+};
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const FROM = process.env.MAIL_FROM || 'BattleHub <no-reply@battlehub.local>';
+
+function transport() {
+  const name = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+  const t = TRANSPORTS[name];
+  if (!t) throw new AppError(500, 'mail_transport_unknown', `unknown MAIL_TRANSPORT "${name}"`);
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(name)) {
+    throw new AppError(503, 'mail_not_configured', `MAIL_TRANSPORT "${name}" is for local use only; configure a delivery transport`);
+  }
+  return t;
+}
+
+/**
+ * Send one message. Returns { id, transport }.
+ */
+async function send({ to, subject, text, html }) {
+  if (!to || !subject || !text) throw new Error('mail: to, subject and text are required');
+  const t = transport();
+  const message = { id: crypto.randomUUID(), from: FROM, to, subject, text, html, date: new Date().toISOString() };
+  const result = await t.send(message);
+  return { id: (result && result.id) || message.id, transport: t.name };
+}
+
+module.exports = { TRANSPORTS, transport, send };
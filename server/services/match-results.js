@@ -0,0 +1,196 @@
+// services/match-results.js
+// Reported results for matches of battles with resultMode 'reported': every
+// participant submits the scores of the whole match (optionally with an
+// evidence URL). When all participants have submitted the same scores the
+// result is confirmed; as soon as two submissions disagree the match is
+// disputed until an admin resolves it. Payouts only run for drawn, confirmed
+// or resolved matches (isPayable).
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Battle = require('../models/Battle');
+const prizes = require('./prizes');
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+const PAYABLE = ['drawn', 'confirmed', 'resolved'];
+const UNRESOLVED = ['pending', 'disputed'];
+
+// Matches from before reported results have no resultStatus and were drawn.
+function isPayable(match) {
+  return !match.resultStatus || PAYABLE.includes(match.resultStatus);
+}
+
+const idOf = v => String(v && v._id ? v._id : v);
+
+async function loadMatch(matchId) {
+  if (!mongoose.isValidObjectId(matchId)) throw new AppError(404, 'not_found');
+  const match = await Match.findById(matchId).populate('entries', 'user');
+  if (!match) throw new AppError(404, 'not_found');
+  return match;
+}
+
+/**
+ * Validate [{ entry, score }] against the match: every entry exactly once,
+ * finite scores. Returns the list in match entry order.
+ */
+function parseScores(match, scores) {
+  if (!Array.isArray(scores)) throw new AppError(400, 'invalid_scores', 'scores must be an array of { entry, score }');
+  const ids = match.entries.map(idOf);
+  const byEntry = new Map();
+  for (const s of scores) {
+    const entry = s && s.entry ? String(s.entry) : '';
+    if (!ids.includes(entry)) throw new AppError(400, 'invalid_scores', `entry ${entry || '(missing)'} is not in this match`);
+    if (byEntry.has(entry)) throw new AppError(400, 'invalid_scores', `entry ${entry} is listed twice`);
+    const score = Number(s.score);
+    if (s.score === null || s.score === '' || !Number.isFinite(score)) throw new AppError(400, 'invalid_scores', `score for entry ${entry} must be a number`);
+    byEntry.set(entry, score);
+  }
+  if (byEntry.size !== ids.length) throw new AppError(400, 'invalid_scores', 'a score is required for every entry in the match');
+  return ids.map(entry => ({ entry, score: byEntry.get(entry) }));
+}
+
+/**
+ * Entry ids in place order (highest score first). Ties are refused where they
+ * would decide a paid place, since the prize money cannot be split by score.
+ */
+function rankByScores(scores, places) {
+  const sorted = scores.slice().sort((a, b) => b.score - a.score);
+  for (let i = 0; i < Math.min(places, sorted.length - 1); i++) {
+    if (sorted[i].score === sorted[i + 1].score) {
+      throw new AppError(400, 'ambiguous_result', 'tied scores cannot decide a paid place', { place: i + 1 });
+    }
+  }
+  return sorted.map(s => s.entry);
+}
+
+function sameScores(a, b) {
+  const score = new Map(a.map(s => [idOf(s.entry), s.score]));
+  return b.length === a.length && b.every(s => score.get(idOf(s.entry)) === s.score);
+}
+
+// Prize shares for the match: the structure stored at matchmaking, else the battle's.
+async function structureFor(match) {
+  if (match.prizeStructure && match.prizeStructure.length) return match.prizeStructure.slice();
+  const battle = await Battle.findById(match.battle).select('prizeStructure').lean();
+  return prizes.effectiveStructure(battle && battle.prizeStructure, match.entries.length);
+}
+
+// Placings for a ranking (entry ids, best first): the same shape matchmaking
+// writes for drawn matches.
+function placings(match, shares, ranking) {
+  const prize = money.money(match.winnerPayout.amount, match.winnerPayout.currency);
+  const payouts = prizes.distribute(prize, shares);
+  return shares.map((share, i) => ({ entry: ranking[i], place: i + 1, share, payout: payouts[i] }));
+}
+
+// Write a result change, failing if someone else changed the result meanwhile.
+async function save(match, set) {
+  const updated = await Match.findOneAndUpdate(
+    { _id: match._id, resultRevision: match.resultRevision || 0, paid: { $ne: true } },
+    { $set: Object.assign(set, { resultRevision: (match.resultRevision || 0) + 1 }) },
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw new AppError(409, 'concurrent_update', 'the match result changed meanwhile; reload and retry');
+  return updated;
+}
+
+/**
+ * A participant's result: { scores: [{ entry, score }], evidenceUrl? }.
+ * Replaces their earlier submission while the match is pending. Returns the
+ * updated match.
+ */
+async function submitResult(user, matchId, { scores, evidenceUrl } = {}) {
+  const match = await loadMatch(matchId);
+  if (match.resultMode !== 'reported') throw new AppError(409, 'result_not_reported', 'this match was decided by draw');
+  if (match.resultStatus === 'disputed') throw new AppError(409, 'match_disputed', 'the result is disputed and awaits an admin');
+  if (match.resultStatus !== 'pending') throw new AppError(409, 'result_final', `the result is already ${match.resultStatus}`);
+
+  const own = match.entries.find(e => String(e.user) === String(user._id));
+  if (!own) throw new AppError(403, 'not_a_participant');
+
+  if (evidenceUrl !== undefined && evidenceUrl !== null && evidenceUrl !== '') {
+    if (typeof evidenceUrl !== 'string' || !/^https?:\/\/\S+$/i.test(evidenceUrl)) {
+      throw new AppError(400, 'invalid_evidence_url', 'evidenceUrl must be an http(s) URL');
+    }
+  }
+  const list = parseScores(match, scores);
+  const shares = await structureFor(match);
+  const ranking = rankByScores(list, shares.length);
+
+  const submission = {
+    entry: own._id,
+    user: user._id,
+    scores: list,
+    evidenceUrl: evidenceUrl || undefined,
+    submittedAt: new Date(),
+  };
+  const submissions = match.submissions
+    .map(s => s.toObject())
+    .filter(s => String(s.entry) !== String(own._id))
+    .concat(submission);
+
+  const set = { submissions };
+  if (submissions.some(s => !sameScores(s.scores, list))) {
+    set.resultStatus = 'disputed';
+    set.dispute = { reason: 'conflicting_results', openedAt: new Date() };
+  } else if (submissions.length === match.entries.length) {
+    set.resultStatus = 'confirmed';
+    set.resultConfirmedAt = new Date();
+    set.prizeStructure = shares;
+    set.results = placings(match, shares, ranking);
+    set.winnerEntry = ranking[0];
+  }
+  return save(match, set);
+}
+
+/**
+ * Admin decision on a pending or disputed match: { scores } (as submitted by
+ * participants) or { ranking: [entryId, ...] } covering at least the paid
+ * places, plus an optional note. Returns the updated match.
+ */
+async function resolveResult(matchId, { scores, ranking, note } = {}) {
+  const match = await loadMatch(matchId);
+  if (match.resultMode !== 'reported') throw new AppError(409, 'result_not_reported', 'this match was decided by draw');
+  if (!UNRESOLVED.includes(match.resultStatus)) throw new AppError(409, 'result_final', `the result is already ${match.resultStatus}`);
+
+  const shares = await structureFor(match);
+  let order;
+  if (scores !== undefined) {
+    order = rankByScores(parseScores(match, scores), shares.length);
+  } else if (Array.isArray(ranking)) {
+    const ids = match.entries.map(idOf);
+    order = ranking.map(String);
+    if (order.length < shares.length || new Set(order).size !== order.length || !order.every(id => ids.includes(id))) {
+      throw new AppError(400, 'invalid_ranking', `ranking must list distinct entries of this match for all ${shares.length} paid places`);
+    }
+  } else {
+    throw new AppError(400, 'result_required', 'pass scores or ranking');
+  }
+
+  const now = new Date();
+  return save(match, {
+    resultStatus: 'resolved',
+    resultConfirmedAt: now,
+    'dispute.resolvedAt': now,
+    'dispute.note': note ? String(note) : undefined,
+    prizeStructure: shares,
+    results: placings(match, shares, order),
+    winnerEntry: order[0],
+  });
+}
+
+// Filter for reported matches awaiting a decision (status: pending / disputed / both).
+function unresolvedFilter({ status } = {}) {
+  return { resultMode: 'reported', resultStatus: status && UNRESOLVED.includes(status) ? status : { $in: UNRESOLVED } };
+}
+
+module.exports = {
+  PAYABLE,
+  UNRESOLVED,
+  isPayable,
+  parseScores,
+  rankByScores,
+  submitResult,
+  resolveResult,
+  unresolvedFilter,
+};
@@ -0,0 +1,207 @@
+// services/matchmaking.js
+// Turns closed battles into matches: paid, unlocked entries are grouped into
+// Match documents (battle.matchSize entrants each), a winner is drawn from the
+// battle's draw commitment and the entrants' client seeds (commit–reveal, see
+// services/fairness.js; every paying place when the battle has a multi-place
+// prize structure) and the entries are locked so
+// they can never be matched twice. Paid entries left over when the entrants do
+// not divide into matches are refunded. Battles in 'rating' matchmaking mode
+// group entrants by sport rating instead of join order; battles with
+// resultMode 'reported' skip the draw and wait for participants' results.
+// Claiming the battle, creating its matches and locking their entries happen
+// in one MongoDB transaction: a failure leaves the battle closed with its
+// entries unlocked, ready for the next run.
+const Battle = require('../models/Battle');
+const Entry = require('../models/Entry');
+const Match = require('../models/Match');
+const fairness = require('./fairness');
+const lifecycle = require('./battle-lifecycle');
+const ledger = require('./ledger');
+const fees = require('./fees');
+const prizes = require('./prizes');
+const ratings = require('./ratings');
+const { AppError } = require('../lib/errors');
+const money = require('../lib/money');
+
+const MIN_ENTRANTS = 2;
+const UNMATCHED_REASON = 'not matched';
+
+// Split entries into groups of `size`; a trailing group smaller than
+// MIN_ENTRANTS is returned separately as unmatched.
+function groupEntries(entries, size) {
+  const groups = [];
+  for (let i = 0; i < entries.length; i += size) groups.push(entries.slice(i, i + size));
+  let unmatched = [];
+  if (groups.length && groups[groups.length - 1].length < MIN_ENTRANTS) unmatched = groups.pop();
+  return { groups, unmatched };
+}
+
+// Entries strongest first (ties keep join order), so consecutive groups are
+// rating bands and the lowest-rated leftover is the one refunded.
+async function sortByRating(entries, sport) {
+  const rating = await ratings.ratingsFor(entries.map(e => e.user), sport);
+  return entries
+    .map((e, i) => ({ e, i, r: rating[String(e.user)] }))
+    .sort((a, b) => b.r - a.r || a.i - b.i)
+    .map(x => x.e);
+}
+
+// Pot / platform cut / winner payout in the battle's currency (minor units)
+// under a fee rule (services/fees.js).
+function computeSplit(entryFee, entrants, rule = fees.DEFAULT_RULE) {
+  const pot = money.multiply(entryFee, entrants);
+  const { platformCut, rate } = fees.applyFeeRule(rule, pot);
+  return { pot, platformCut, winnerPayout: money.subtract(pot, platformCut), rate };
+}
+
+async function createMatch(battle, entries, rule, { session, seed } = {}) {
+  const fee = battle.entryFee || money.zero();
+  const { pot, platformCut, winnerPayout, rate } = computeSplit(money.money(fee.amount, fee.currency), entries.length, rule);
+
+  const fields = {
+    battle: battle._id,
+    entries: entries.map(e => e._id),
+    pot,
+    platformCut,
+    winnerPayout,
+    // the rule as it was now, so later rule edits never change this match
+    feeRule: Object.assign(fees.snapshot(rule), { appliedRate: rate }),
+  };
+  const shares = prizes.effectiveStructure(battle.prizeStructure, entries.length);
+
+  // reported results: no draw, placings come from the participants (services/match-results.js)
+  if (battle.resultMode === 'reported') {
+    const [match] = await Match.create([Object.assign(fields, { resultMode: 'reported', resultStatus: 'pending', prizeStructure: shares })], { session });
+    await Entry.updateMany({ _id: { $in: match.entries } }, { $set: { locked: true } }, { session });
+    return match;
+  }
+
+  // draw on the seed committed when the battle was created and the entrants'
+  // client seeds (entries from before client seeds use their id). The seed is
+  // revealed with the result; every match of the battle commits together, so
+  // it is only ever shown once all of them are drawn.
+  if (fairness.hashSeed(seed) !== battle.drawSeedHash) throw new Error('draw seed does not match the commitment of battle ' + battle._id);
+  const clientSeeds = entries.map(e => e.clientSeed || String(e._id));
+  const ranking = fairness.drawRanking(seed, battle._id, entries.map(e => e._id), shares.length, clientSeeds);
+  const payouts = prizes.distribute(winnerPayout, shares);
+  const drawnAt = new Date();
+  const [match] = await Match.create([Object.assign(fields, {
+    drawScheme: fairness.SCHEME,
+    seedHash: battle.drawSeedHash,
+    seedCommittedAt: battle.drawCommittedAt,
+    seed,
+    clientSeeds,
+    prizeStructure: shares,
+    results: ranking.map((entry, i) => ({ entry, place: i + 1, share: shares[i], payout: payouts[i] })),
+    winnerEntry: ranking[0],
+    drawnAt,
+    seedRevealedAt: drawnAt,
+  })], { session });
+
+  await Entry.updateMany({ _id: { $in: match.entries } }, { $set: { locked: true } }, { session });
+  return match;
+}
+
+async function matchBattle(battle) {
+  const entries = await Entry.find({ battle: battle._id, paid: true, locked: { $ne: true } })
+    .sort({ createdAt: 1, _id: 1 });
+
+  if (entries.length < MIN_ENTRANTS) {
+    return { result: { battleId: String(battle._id), status: 'not_enough_entrants', paidEntries: entries.length }, matches: [] };
+  }
+
+  // battles created before draw commitments: commit now and draw on a later
+  // run, once the hash has been public (their entrants were already known)
+  const draw = battle.resultMode !== 'reported';
+  if (draw && !battle.drawSeedHash) {
+    await Battle.updateOne({ _id: battle._id, drawSeedHash: null }, { $set: fairness.commitment() });
+    return { result: { battleId: String(battle._id), status: 'draw_committed' }, matches: [] };
+  }
+  const seed = draw ? (await Battle.findById(battle._id).select('+drawSeed').lean()).drawSeed : undefined;
+
+  const size = Math.max(MIN_ENTRANTS, battle.matchSize || MIN_ENTRANTS);
+  const ordered = battle.matchmakingMode === 'rating' ? await sortByRating(entries, battle.sport) : entries;
+  const { groups, unmatched } = groupEntries(ordered, size);
+  const rule = await fees.resolveFeeRule(battle);
+
+  // claim the battle (closed -> ongoing) so an overlapping run cannot match the
+  // same entries; if any match fails the claim is rolled back with it. The
+  // leftovers are marked refundPending in the same transaction, so a crash
+  // before their refunds leaves them for the scheduler sweep.
+  let matches;
+  try {
+    await ledger.withTransaction(null, async (session) => {
+      matches = [];
+      await lifecycle.transition(battle._id, 'ongoing', { session });
+      for (const group of groups) matches.push(await createMatch(battle, group, rule, { session, seed }));
+      if (unmatched.length) {
+        await Entry.updateMany({ _id: { $in: unmatched.map(e => e._id) } }, { $set: { refundPending: UNMATCHED_REASON } }, { session });
+      }
+    });
+  } catch (err) {
+    if (err instanceof AppError && err.code === 'invalid_transition') {
+      return { result: { battleId: String(battle._id), status: 'already_claimed' }, matches: [] };
+    }
+    throw err;
+  }
+
+  // after the commit: each refund is its own idempotent transaction; failures
+  // land in refundErrors and stay refundPending (lifecycle.refundPendingEntries)
+  const refunds = await lifecycle.refundEntries(unmatched.map(e => e._id), UNMATCHED_REASON);
+
+  return {
+    result: {
+      battleId: String(battle._id),
+      status: 'matched',
+      paidEntries: entries.length,
+      matches: matches.length,
+      unmatchedEntries: unmatched.map(e => String(e._id)),
+      refundedEntries: refunds.refunded,
+      refundErrors: refunds.errors,
+    },
+    matches,
+  };
+}
+
+/**
+ * Process closed battles (or only `battleId` when given).
+ * Returns { processed, skipped, battles, errors }:
+ *   processed – one item per created match
+ *   skipped   – battles that produced no match (too few entrants, claimed
+ *               elsewhere, draw commitment only just made)
+ *   battles   – per-battle result for every battle looked at
+ */
+async function runMatchmaking({ battleId } = {}) {
+  const q = { state: 'closed' };
+  if (battleId) q._id = battleId;
+  const battles = await Battle.find(q).sort({ startAt: 1 });
+
+  const summary = { processed: [], skipped: [], battles: [], errors: [] };
+
+  for (const battle of battles) {
+    try {
+      const { result, matches } = await matchBattle(battle);
+      summary.battles.push(result);
+      if (!matches.length) summary.skipped.push(result);
+      for (const m of matches) {
+        summary.processed.push({
+          battleId: String(battle._id),
+          matchId: String(m._id),
+          entries: m.entries.map(String),
+          winnerEntry: String(m.winnerEntry),
+          results: m.results.map(r => ({ place: r.place, entry: String(r.entry), payout: r.payout })),
+          pot: m.pot,
+          winnerPayout: m.winnerPayout,
+          platformCut: m.platformCut,
+        });
+      }
+    } catch (err) {
+      console.error('[matchmaking] battle failed', String(battle._id), err);
+      summary.errors.push({ battleId: String(battle._id), error: err.message || String(err) });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { runMatchmaking, groupEntries, computeSplit, MIN_ENTRANTS };
@@ -0,0 +1,62 @@
+// services/payments/fake.js
+// Deterministic in-process payment provider for development, e2e runs and
+// tests: no network, no credentials. Enable it with PAYMENT_PROVIDERS=fake.
+//
+//   FAKE_PAYMENT_OUTCOME  completed (default) | failed | pending
+//       Result of every charge. "pending" leaves the charge open until it is
+//       settled through the fake hosted page (routes/fake-payments.js).
+//   FAKE_PAYOUT_OUTCOME   completed (default) | failed | pending
+//
+// Outcomes set through the hosted page are kept in memory, so they only last
+// for the lifetime of the process.
+const { AppError } = require('../../lib/errors');
+
+const name = 'fake';
+
+const PUBLIC_BASE_URL = (process.env.BASE_URL || 'http://localhost:4000').replace(/\/$/, '');
+const OUTCOMES = ['completed', 'failed', 'pending'];
+
+const outcomes = new Map(); // providerRef -> status
+
+function configured(envName) {
+  const value = String(process.env[envName] || 'completed').toLowerCase();
+  return OUTCOMES.includes(value) ? value : 'completed';
+}
+
+function statusOf(ref) {
+  return outcomes.get(ref) || configured('FAKE_PAYMENT_OUTCOME');
+}
+
+async function initiateCharge({ payment }) {
+  const providerRef = `fake_${payment.merchantReference}`;
+  const status = statusOf(providerRef);
+  return {
+    providerRef,
+    redirectUrl: `${PUBLIC_BASE_URL}/payments/fake/pay/${encodeURIComponent(providerRef)}`,
+    status,
+    amount: status === 'completed' ? payment.amount : undefined,
+  };
+}
+
+async function queryStatus(payment) {
+  const status = statusOf(payment.providerRef);
+  return { status, amount: status === 'completed' ? payment.amount : null, raw: { providerRef: payment.providerRef, status } };
+}
+
+// Fake hosted page: POST /payments/fake/pay/:ref { outcome }
+async function handleCallback(req) {
+  const providerRef = req.params.ref;
+  const outcome = String((req.body && req.body.outcome) || '').toLowerCase();
+  if (!providerRef) throw new AppError(400, 'missing_reference');
+  if (!OUTCOMES.includes(outcome)) throw new AppError(400, 'invalid_outcome', `outcome must be one of ${OUTCOMES.join(', ')}`);
+  outcomes.set(providerRef, outcome);
+  // no status: the generic flow re-reads it through queryStatus like for a real provider
+  return [{ providerRef }];
+}
+
+async function initiatePayout({ reference }) {
+  const status = configured('FAKE_PAYOUT_OUTCOME');
+  return { providerRef: `fake_payout_${reference}`, status, raw: { reference, status } };
+}
+
+module.exports = { name, initiateCharge, queryStatus, handleCallback, initiatePayout };
@@ -0,0 +1,300 @@
+// services/payments/index.js
+// Provider-agnostic payments. Every provider module exports:
+//
+//   name                                     'pesapal', 'stripe', 'fake', ...
+//   initiateCharge({ payment, user, description })
+//       -> { providerRef, redirectUrl, expiresAt?, status? }
+//   queryStatus(payment)
+//       -> { status: pending|completed|failed|reversed|expired, amount?, raw? }
+//   handleCallback(req)
+//       -> [{ providerRef, status?, amount?, raw? }]
+//          Without a status the payment is re-checked with queryStatus; a status
+//          is only returned when the provider verified the notification itself
+//          (e.g. a signed Stripe webhook).
+//   initiatePayout({ reference, user, amount, destination })
+//       -> { providerRef, status: pending|completed|failed, raw? }
+//
+// Which providers a deployment offers comes from PAYMENT_PROVIDERS
+// (comma-separated, default "pesapal,stripe"); PAYMENT_PROVIDER picks the
+// default one. Withdrawals are paid out through PAYOUT_PROVIDER (default
+// "manual", see ./manual.js). The Payment record, amount check and what happens once money
+// arrives (fulfilment by purpose) live here, so callers never touch a provider.
+const Payment = require('../../models/Payment');
+const Entry = require('../../models/Entry');
+const Battle = require('../../models/Battle');
+const money = require('../../lib/money');
+const { AppError } = require('../../lib/errors');
+const { settleEntryFee } = require('../entry-fees');
+const wallet = require('../wallet');
+
+const PROVIDERS = {
+  pesapal: require('./pesapal'),
+  stripe: require('./stripe'),
+  fake: require('./fake'),
+  manual: require('./manual'),
+};
+
+const FINAL_STATUSES = ['completed', 'failed', 'reversed', 'invalid', 'expired'];
+const REUSE_PENDING_MS = 30 * 60 * 1000;
+
+function enabledProviders() {
+  let names = (process.env.PAYMENT_PROVIDERS || 'pesapal,stripe')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(n => PROVIDERS[n]);
+  // legacy kill switch from before PAYMENT_PROVIDERS existed
+  if (process.env.PESAPAL_DISABLED === 'true') names = names.filter(n => n !== 'pesapal');
+  return [...new Set(names)];
+}
+
+function defaultProvider() {
+  const enabled = enabledProviders();
+  const wanted = (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase();
+  return enabled.includes(wanted) ? wanted : (enabled[0] || null);
+}
+
+function isEnabled(name) {
+  return enabledProviders().includes(name);
+}
+
+// Resolve a provider by name (default provider when omitted); 400 if it is not enabled here.
+function getProvider(name) {
+  const resolved = name ? String(name).toLowerCase() : defaultProvider();
+  if (!resolved) throw new AppError(503, 'payments_disabled', 'No payment provider is enabled on this deployment');
+  if (!isEnabled(resolved)) {
+    throw new AppError(400, 'unsupported_provider', `Payment provider "${resolved}" is not enabled`, { providers: enabledProviders() });
+  }
+  return PROVIDERS[resolved];
+}
+
+// What to do once a payment of a given purpose settles or is abandoned.
+const FULFILMENT = {
+  entry_fee: {
+    complete: async (payment) => {
+      const { entry, alreadyPaid, battleState } = await settleEntryFee(payment.entry, { provider: payment.provider, reference: payment.providerRef });
+      // the battle left 'open' while the player was paying (closed, matched or
+      // cancelled): the entry cannot play any more, keep the money as a deposit
+      if (battleState) {
+        await wallet.creditDeposit(payment, { note: `Battle ${payment.battle} is ${battleState}; ${payment.provider} payment ${payment.providerRef} credited to wallet` });
+        return;
+      }
+      // paid some other way meanwhile (e.g. from the wallet): keep the money as a deposit
+      if (alreadyPaid && entry.paymentRef !== payment.providerRef) {
+        await wallet.creditDeposit(payment, { note: `Entry ${payment.entry} was already paid; ${payment.provider} payment ${payment.providerRef} credited to wallet` });
+      }
+    },
+    // give the slot back unless another checkout for the entry is still open or succeeded
+    release: async (payment) => {
+      const other = await Payment.exists({ entry: payment.entry, _id: { $ne: payment._id }, status: { $in: ['pending', 'completed'] } });
+      if (other) return;
+      await Entry.deleteOne({ _id: payment.entry, paid: false, locked: { $ne: true } });
+    },
+  },
+  deposit: {
+    complete: (payment) => wallet.creditDeposit(payment),
+    release: async () => {},
+  },
+};
+
+/**
+ * Create a Payment and open a charge with the provider.
+ * Returns the saved payment (status may already be final for synchronous providers).
+ */
+async function startCharge({ provider, purpose, user, amount, entry, battle, description, merchantReference }) {
+  const impl = getProvider(provider);
+  if (!FULFILMENT[purpose]) throw new Error('Unknown payment purpose: ' + purpose);
+
+  const payment = await Payment.create({
+    provider: impl.name,
+    purpose,
+    user: user._id,
+    entry,
+    battle,
+    amount: { amount: amount.amount, currency: amount.currency },
+    merchantReference: merchantReference || `${purpose}-${entry || user._id}-${Date.now()}`,
+  });
+
+  let charge;
+  try {
+    charge = await impl.initiateCharge({ payment, user, description });
+  } catch (err) {
+    await Payment.updateOne({ _id: payment._id, status: 'pending' }, { $set: { status: 'failed', providerStatus: { error: err.message } } });
+    throw err;
+  }
+
+  payment.providerRef = charge.providerRef;
+  payment.redirectUrl = charge.redirectUrl;
+  if (charge.expiresAt) payment.expiresAt = charge.expiresAt;
+  await payment.save();
+
+  if (charge.status && charge.status !== 'pending') {
+    return applyStatus(payment, { status: charge.status, amount: charge.amount || payment.amount, raw: charge.raw });
+  }
+  return payment;
+}
+
+/**
+ * Apply a provider status to a pending payment: fulfil it when the expected
+ * amount arrived, release it when it failed or expired. Final payments are
+ * returned unchanged, so redelivered notifications are harmless.
+ */
+async function applyStatus(payment, { status, amount, raw } = {}) {
+  if (payment.status !== 'pending') return payment;
+  const update = { lastCheckedAt: new Date() };
+  if (raw !== undefined) update.providerStatus = raw;
+
+  if (status === 'completed') {
+    // the paid amount must match what we asked for
+    if (!amount || amount.currency !== payment.amount.currency || amount.amount !== payment.amount.amount) {
+      console.error(`[payments] ${payment.provider} amount mismatch`, String(payment._id), amount);
+      update.status = 'invalid';
+    } else {
+      // fulfilment is idempotent per purpose, so a second delivery credits once
+      await FULFILMENT[payment.purpose].complete(payment);
+      update.status = 'completed';
+      update.completedAt = new Date();
+    }
+  } else if (FINAL_STATUSES.includes(status)) {
+    update.status = status;
+  }
+
+  const updated = await Payment.findOneAndUpdate({ _id: payment._id, status: 'pending' }, { $set: update }, { new: true });
+  if (!updated) return Payment.findById(payment._id);
+  if (['failed', 'expired', 'reversed'].includes(updated.status)) await FULFILMENT[updated.purpose].release(updated);
+  return updated;
+}
+
+// Ask the provider for the real status of a pending payment and apply it.
+async function refreshPayment(payment) {
+  if (payment.status !== 'pending' || !payment.providerRef) return payment;
+  const result = await PROVIDERS[payment.provider].queryStatus(payment);
+  return applyStatus(payment, result);
+}
+
+/**
+ * Process a provider notification (IPN, webhook, return redirect).
+ * Returns the affected payments; unknown references are logged and skipped.
+ */
+async function handleCallback(providerName, req) {
+  const impl = getProvider(providerName);
+  const events = await impl.handleCallback(req);
+  const payments = [];
+  for (const ev of events) {
+    const payment = await Payment.findOne({ provider: impl.name, providerRef: String(ev.providerRef) });
+    if (!payment) {
+      console.warn(`[payments] ${impl.name} notification for unknown reference`, ev.providerRef);
+      continue;
+    }
+    payments.push(ev.status ? await applyStatus(payment, ev) : await refreshPayment(payment));
+  }
+  return payments;
+}
+
+// Polling fallback for missed notifications: re-check pending payments not looked at recently.
+async function reconcilePending({ olderThanMs = 60 * 1000, maxAgeMs = 24 * 60 * 60 * 1000, limit = 50 } = {}) {
+  const now = Date.now();
+  const pending = await Payment.find({
+    provider: { $in: enabledProviders() },
+    status: 'pending',
+    providerRef: { $ne: null },
+    createdAt: { $gte: new Date(now - maxAgeMs) },
+    $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lte: new Date(now - olderThanMs) } }],
+  }).sort({ createdAt: 1 }).limit(limit);
+
+  const results = [];
+  for (const p of pending) {
+    try {
+      const updated = await refreshPayment(p);
+      results.push({ payment: String(p._id), provider: p.provider, status: updated.status });
+    } catch (err) {
+      results.push({ payment: String(p._id), provider: p.provider, error: err.message || String(err) });
+    }
+  }
+  return results;
+}
+
+/**
+ * Open (or reuse) a checkout for one of the user's unpaid battle entries.
+ * Returns { payment, redirectUrl }.
+ */
+async function checkoutEntry(user, entryId, { provider } = {}) {
+  const impl = getProvider(provider);
+  const entry = await Entry.findById(entryId);
+  if (!entry || String(entry.user) !== String(user._id)) throw new AppError(404, 'not_found');
+  if (entry.paid) throw new AppError(409, 'already_paid');
+
+  const battle = await Battle.findById(entry.battle).lean();
+  if (!battle || battle.state !== 'open') throw new AppError(409, 'battle_not_open');
+
+  const fee = entry.fee || battle.entryFee;
+  if (!fee || !(fee.amount > 0)) throw new AppError(409, 'nothing_to_pay');
+
+  // reuse a recent pending checkout instead of creating duplicates on double-clicks
+  const recent = await Payment.findOne({
+    entry: entry._id,
+    provider: impl.name,
+    status: 'pending',
+    redirectUrl: { $ne: null },
+    createdAt: { $gte: new Date(Date.now() - REUSE_PENDING_MS) },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (recent) return { payment: recent, redirectUrl: recent.redirectUrl };
+
+  const payment = await startCharge({
+    provider: impl.name,
+    purpose: 'entry_fee',
+    user,
+    amount: fee,
+    entry: entry._id,
+    battle: entry.battle,
+    description: `BattleHub entry: ${battle.title}`,
+    merchantReference: `entry-${entry._id}-${Date.now()}`,
+  });
+  if (impl.name === 'stripe') await Entry.updateOne({ _id: entry._id }, { $set: { stripeSessionId: payment.providerRef } });
+  return { payment, redirectUrl: payment.redirectUrl };
+}
+
+/**
+ * Start a wallet top-up of `amount` (Money) with a provider.
+ * Returns { payment, redirectUrl }; synchronous providers may already have credited it.
+ */
+async function deposit(user, amount, { provider } = {}) {
+  const payment = await startCharge({
+    provider,
+    purpose: 'deposit',
+    user,
+    amount,
+    description: `BattleHub wallet deposit (${money.format(amount)})`,
+    merchantReference: `deposit-${user._id}-${Date.now()}`,
+  });
+  return { payment, redirectUrl: payment.redirectUrl };
+}
+
+function payoutProvider() {
+  const wanted = (process.env.PAYOUT_PROVIDER || 'manual').trim().toLowerCase();
+  if (!PROVIDERS[wanted]) throw new AppError(503, 'payouts_not_configured', `Unknown PAYOUT_PROVIDER "${wanted}"`);
+  return wanted;
+}
+
+// Send money out through a provider. Callers own the bookkeeping (see services/withdrawals.js).
+async function initiatePayout(providerName, args) {
+  const impl = PROVIDERS[providerName];
+  if (!impl) throw new AppError(503, 'payouts_not_configured', `Unknown payout provider "${providerName}"`);
+  return impl.initiatePayout(args);
+}
+
+module.exports = {
+  enabledProviders,
+  defaultProvider,
+  isEnabled,
+  getProvider,
+  startCharge,
+  applyStatus,
+  refreshPayment,
+  handleCallback,
+  reconcilePending,
+  checkoutEntry,
+  deposit,
+  payoutProvider,
+  initiatePayout,
+};
@@ -0,0 +1,26 @@
+// services/payments/manual.js
+// Payout-only provider for money sent by hand (e.g. finance staff paying a
+// mobile money number). initiatePayout() just records the request as pending;
+// an admin confirms it with POST /admin/withdrawals/:id/complete once the
+// transfer has been made, or marks it failed.
+const { AppError } = require('../../lib/errors');
+
+const name = 'manual';
+
+async function initiateCharge() {
+  throw new AppError(501, 'charges_not_supported', 'The manual provider only handles payouts');
+}
+
+async function queryStatus(payment) {
+  return { status: 'pending', raw: { providerRef: payment.providerRef } };
+}
+
+async function handleCallback() {
+  return [];
+}
+
+async function initiatePayout({ reference }) {
+  return { providerRef: `manual_${reference}`, status: 'pending' };
+}
+
+module.exports = { name, initiateCharge, queryStatus, handleCallback, initiatePayout };
@@ -0,0 +1,127 @@
+// services/payments/pesapal.js
+// Pesapal v3 payment provider (see services/payments/index.js for the interface).
+//
+// The REST calls are made with axios against PESAPAL_BASE rather than through
+// pesapaljs-v3, because that library hard-codes the Pesapal hosts and so cannot
+// talk to the bundled mock (scripts/mock-pesapal.js).
+//
+// Pesapal notifications (IPN, player callback) carry only the order tracking
+// id; the status always comes from GetTransactionStatus, so a forged
+// notification can never mark a payment completed by itself.
+const axios = require('axios');
+const money = require('../../lib/money');
+const { AppError } = require('../../lib/errors');
+
+const name = 'pesapal';
+
+const PESAPAL_BASE = (process.env.PESAPAL_BASE || 'https://cybqa.pesapal.com/pesapalv3').replace(/\/$/, '');
+const PUBLIC_BASE_URL = (process.env.BASE_URL || 'http://localhost:4000').replace(/\/$/, '');
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Pesapal status_code values (GetTransactionStatus)
+const STATUS_BY_CODE = { 0: 'invalid', 1: 'completed', 2: 'failed', 3: 'reversed' };
+const FINAL_STATUSES = ['completed', 'failed', 'reversed'];
+
+let cachedToken = null; // { token, expiresAt }
+let cachedIpnId = process.env.PESAPAL_IPN_ID || null;
+
+function http() {
+  return axios.create({
+    baseURL: PESAPAL_BASE,
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+  });
+}
+
+// Pesapal reports most failures as HTTP 200 with an `error` object.
+function assertNoError(data, what) {
+  if (data && data.error && (data.error.code || data.error.message)) {
+    throw new AppError(502, 'pesapal_error', `${what}: ${data.error.message || data.error.code}`);
+  }
+  return data;
+}
+
+async function getToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now() + 30 * 1000) return cachedToken.token;
+  if (!process.env.PESAPAL_CONSUMER_KEY || !process.env.PESAPAL_CONSUMER_SECRET) {
+    throw new AppError(503, 'payments_not_configured', 'PESAPAL_CONSUMER_KEY / PESAPAL_CONSUMER_SECRET are not set');
+  }
+  const { data } = await http().post('/api/Auth/RequestToken', {
+    consumer_key: process.env.PESAPAL_CONSUMER_KEY,
+    consumer_secret: process.env.PESAPAL_CONSUMER_SECRET,
+  });
+  assertNoError(data, 'RequestToken');
+  const expiresAt = data.expiryDate ? new Date(data.expiryDate).getTime() : Date.now() + 4 * 60 * 1000;
+  cachedToken = { token: data.token, expiresAt };
+  return data.token;
+}
+
+async function authed(method, url, body, params) {
+  const token = await getToken();
+  const { data } = await http().request({ method, url, data: body, params, headers: { Authorization: `Bearer ${token}` } });
+  return data;
+}
+
+// Register our IPN listener once per process unless PESAPAL_IPN_ID is configured.
+async function getIpnId() {
+  if (cachedIpnId) return cachedIpnId;
+  const data = assertNoError(await authed('post', '/api/URLSetup/RegisterIPN', {
+    url: `${PUBLIC_BASE_URL}/payments/pesapal/ipn`,
+    ipn_notification_type: 'GET',
+  }), 'RegisterIPN');
+  cachedIpnId = data.ipn_id;
+  return cachedIpnId;
+}
+
+function mapStatus(data) {
+  const desc = String(data.payment_status_description || '').toLowerCase();
+  if (FINAL_STATUSES.includes(desc) || desc === 'pending' || desc === 'invalid') return desc;
+  return STATUS_BY_CODE[data.status_code] || 'pending';
+}
+
+async function initiateCharge({ payment, user, description }) {
+  const [firstName, ...rest] = String(user.name || '').trim().split(/\s+/);
+  const order = assertNoError(await authed('post', '/api/Transactions/SubmitOrderRequest', {
+    id: payment.merchantReference,
+    currency: payment.amount.currency,
+    amount: money.toMajor(payment.amount),
+    description: String(description).slice(0, 100),
+    callback_url: `${PUBLIC_BASE_URL}/payments/pesapal/callback`,
+    notification_id: await getIpnId(),
+    billing_address: {
+      email_address: user.email,
+      first_name: firstName || '',
+      last_name: rest.join(' '),
+    },
+  }), 'SubmitOrderRequest');
+
+  return { providerRef: order.order_tracking_id, redirectUrl: order.redirect_url };
+}
+
+async function queryStatus(payment) {
+  const data = await authed('get', '/api/Transactions/GetTransactionStatus', undefined, { orderTrackingId: payment.providerRef });
+  let status = mapStatus(data);
+  // "INVALID" is also what Pesapal answers for orders the player has not paid
+  // yet, so it stays pending and is re-checked by the reconcile job
+  if (!FINAL_STATUSES.includes(status)) status = 'pending';
+
+  // the reported amount is compared with the expected one, so an odd value must not throw here
+  const amount = status === 'completed'
+    ? money.fromMajor(data.amount, data.currency || payment.amount.currency, { round: true })
+    : null;
+  return { status, amount, raw: data };
+}
+
+// IPN (GET query or POST JSON) and the player callback both identify the order only.
+async function handleCallback(req) {
+  const src = Object.assign({}, req.query, req.body);
+  const providerRef = src.OrderTrackingId || src.orderTrackingId;
+  if (!providerRef) throw new AppError(400, 'missing_order_tracking_id');
+  return [{ providerRef: String(providerRef) }];
+}
+
+async function initiatePayout() {
+  throw new AppError(501, 'payouts_not_supported', 'Pesapal payouts are not available through the v3 API');
+}
+
+module.exports = { name, getToken, initiateCharge, queryStatus, handleCallback, initiatePayout };
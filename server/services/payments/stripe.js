@@ -0,0 +1,106 @@
+// services/payments/stripe.js
+// Stripe Checkout payment provider (card payments for international players;
+// see services/payments/index.js for the interface).
+//
+// initiateCharge() opens a Checkout Session; Stripe then calls
+// POST /payments/stripe/webhook, whose signature is verified in
+// handleCallback() before the event is trusted. Sessions expire after
+// SESSION_TTL_SECONDS, and the reconcile job falls back to queryStatus() for
+// missed webhooks.
+const Stripe = require('stripe');
+const { AppError } = require('../../lib/errors');
+
+const name = 'stripe';
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://battlehub-frontend.vercel.app').replace(/\/$/, '');
+const SESSION_TTL_SECONDS = 30 * 60; // Stripe's minimum
+
+let client = null;
+
+function stripe() {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new AppError(503, 'payments_not_configured', 'STRIPE_SECRET_KEY is not set');
+  }
+  if (!client) client = Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+}
+
+// our minor units are Stripe's smallest currency unit (UGX is zero-decimal in both)
+function sessionAmount(session) {
+  return { amount: session.amount_total, currency: String(session.currency).toUpperCase() };
+}
+
+async function initiateCharge({ payment, user, description }) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+  const session = await stripe().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      quantity: 1,
+      price_data: {
+        currency: payment.amount.currency.toLowerCase(),
+        unit_amount: payment.amount.amount,
+        product_data: { name: description },
+      },
+    }],
+    customer_email: user.email,
+    client_reference_id: String(payment.entry || payment._id),
+    metadata: {
+      paymentId: String(payment._id),
+      purpose: payment.purpose,
+      entryId: payment.entry ? String(payment.entry) : '',
+      battleId: payment.battle ? String(payment.battle) : '',
+      userId: String(user._id),
+      merchantReference: payment.merchantReference,
+    },
+    success_url: `${FRONTEND_URL}/payments/result?provider=stripe&status=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${FRONTEND_URL}/payments/result?provider=stripe&status=cancelled&session_id={CHECKOUT_SESSION_ID}`,
+    expires_at: Math.floor(expiresAt.getTime() / 1000),
+  }, { idempotencyKey: payment.merchantReference });
+
+  return { providerRef: session.id, redirectUrl: session.url, expiresAt };
+}
+
+async function queryStatus(payment) {
+  const session = await stripe().checkout.sessions.retrieve(payment.providerRef);
+  if (session.payment_status === 'paid') return { status: 'completed', amount: sessionAmount(session), raw: session };
+  if (session.status === 'expired') return { status: 'expired', raw: session };
+  return { status: 'pending', raw: session };
+}
+
+// Verify the signature on the raw webhook body; throws AppError(400) when invalid.
+function constructEvent(rawBody, signature) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new AppError(503, 'payments_not_configured', 'STRIPE_WEBHOOK_SECRET is not set');
+  }
+  try {
+    return stripe().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    throw new AppError(400, 'invalid_signature', err.message);
+  }
+}
+
+// Signed webhook -> status updates. Other event types are acknowledged and ignored.
+async function handleCallback(req) {
+  const event = constructEvent(req.body, req.header('stripe-signature'));
+  const session = event.data && event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // delayed payment methods complete later via async_payment_succeeded
+      if (session.payment_status !== 'paid') return [];
+      return [{ providerRef: session.id, status: 'completed', amount: sessionAmount(session), raw: session }];
+    case 'checkout.session.async_payment_succeeded':
+      return [{ providerRef: session.id, status: 'completed', amount: sessionAmount(session), raw: session }];
+    case 'checkout.session.async_payment_failed':
+      return [{ providerRef: session.id, status: 'failed', raw: session }];
+    case 'checkout.session.expired':
+      return [{ providerRef: session.id, status: 'expired', raw: session }];
+    default:
+      return [];
+  }
+}
+
+async function initiatePayout() {
+  throw new AppError(501, 'payouts_not_supported', 'Stripe Checkout cannot send money to players');
+}
+
+module.exports = { name, initiateCharge, queryStatus, handleCallback, initiatePayout };
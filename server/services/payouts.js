@@ -0,0 +1,306 @@
+// services/payouts.js
+// Pays out a single match atomically: the ledger posting (escrow -> the wallet
+// of every placing entrant + platform revenue), one Transaction per placing
+// plus the platform fee, and the match flags are written in one MongoDB
+// transaction, and the ledger entry and each Transaction carry a unique
+// idempotencyKey so a match can never be credited twice. The payout.apply
+// audit entry is written in the same transaction: no payout without its record.
+//
+// The pot is taken from escrow:battle:<battleId>, which the entry fees fill.
+// Battles whose fees were paid before the ledger get that escrow from
+// scripts/migrate-balances-to-ledger.js (opening postings), which must run
+// before their matches are paid out.
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const money = require('../lib/money');
+const { computeSplit } = require('./matchmaking');
+const { finishIfComplete } = require('./battle-lifecycle');
+const ratings = require('./ratings');
+const matchResults = require('./match-results');
+const audit = require('./audit');
+
+const SERVICE_ACTOR = { actor: { kind: 'service' } };
+
+// 1st place keeps the historical single-winner key
+function payoutKey(matchId, place = 1) {
+  return place === 1 ? `payout:${matchId}` : `payout:${matchId}:${place}`;
+}
+
+function platformFeeKey(matchId) {
+  return `platform_fee:${matchId}`;
+}
+
+function userOfEntry(entries, entryId) {
+  const entry = (entries || []).find(e => String(e._id) === String(entryId && entryId._id ? entryId._id : entryId));
+  if (!entry) throw new Error('Placing entry not found: ' + entryId);
+  if (!entry.user) throw new Error('User missing for entry ' + entry._id);
+  return entry.user._id || entry.user;
+}
+
+// Work out pot / cut / placings for a populated match (entries.user, battle).
+// Returns { pot, platformCut, winnerPayout, winnerUserId, placings: [{ place, entry, user, payout }] }.
+function computePayout(match) {
+  if (!match.winnerEntry) throw new Error('Winner entry not found on match ' + match._id);
+
+  // matchmaking always stores the split; recompute it only for matches without
+  // a pot, under the fee rule snapshotted on the match when there is one
+  let split;
+  if (match.pot && match.pot.amount > 0) {
+    split = {
+      pot: money.money(match.pot.amount, match.pot.currency),
+      platformCut: money.money(match.platformCut.amount, match.pot.currency),
+      winnerPayout: money.money(match.winnerPayout.amount, match.pot.currency),
+    };
+  } else {
+    const fee = match.battle?.entryFee || money.zero();
+    const rule = match.feeRule && match.feeRule.rate != null ? match.feeRule : undefined;
+    const { pot, platformCut, winnerPayout } = computeSplit(money.money(fee.amount, fee.currency), (match.entries || []).length, rule);
+    split = { pot, platformCut, winnerPayout };
+  }
+
+  // ranked results from matchmaking; older matches pay everything to winnerEntry
+  const results = match.results && match.results.length
+    ? match.results.slice().sort((a, b) => a.place - b.place)
+    : [{ entry: match.winnerEntry, place: 1, payout: split.winnerPayout }];
+  const placings = results.map(r => ({
+    place: r.place,
+    entry: r.entry._id || r.entry,
+    user: userOfEntry(match.entries, r.entry),
+    payout: money.money(r.payout.amount, split.pot.currency),
+  }));
+
+  const paid = placings.reduce((sum, pl) => sum + pl.payout.amount, 0);
+  if (paid !== split.winnerPayout.amount) {
+    throw new Error(`Placings of match ${match._id} pay ${paid}, expected ${split.winnerPayout.amount}`);
+  }
+
+  return Object.assign({ winnerUserId: placings[0].user, placings }, split);
+}
+
+function describe(matchId, p, applied) {
+  return {
+    match: String(matchId),
+    winner: String(p.winnerUserId),
+    pot: p.pot,
+    winnerPayout: p.winnerPayout,
+    platformCut: p.platformCut,
+    placings: p.placings.map(pl => ({ place: pl.place, entry: String(pl.entry), user: String(pl.user), payout: pl.payout })),
+    applied,
+  };
+}
+
+// reported result still pending or disputed: nothing to pay yet
+function unresolved(match) {
+  return { match: String(match._id), skipped: true, reason: 'result_unresolved', resultStatus: match.resultStatus, applied: false };
+}
+
+function loadMatch(matchId, session) {
+  return Match.findById(matchId)
+    .populate({ path: 'entries', populate: { path: 'user', select: 'name email' } })
+    .populate('battle')
+    .session(session || null);
+}
+
+/**
+ * Pay out one match. With apply=false nothing is written and the computed
+ * payout is returned as a preview. `auditContext` ({ actor, requestId?, ip? },
+ * e.g. audit.fromRequest(req)) says who the payout.apply entry names.
+ *
+ * Returns { match, skipped?, reason?, applied, winner, winnerPayout, platformCut, pot, placings }.
+ */
+async function payoutMatch(matchId, { apply = false, auditContext = SERVICE_ACTOR } = {}) {
+  if (!apply) {
+    const match = await loadMatch(matchId);
+    if (!match) throw new Error('Match not found: ' + matchId);
+    if (match.payoutProcessed || match.paid) return { match: String(match._id), skipped: true, reason: 'already_paid', applied: false };
+    if (!matchResults.isPayable(match)) return unresolved(match);
+    return describe(match._id, computePayout(match), false);
+  }
+
+  const session = await mongoose.startSession();
+  let battleId = null;
+  let paidMatch = null;
+  try {
+    let result;
+    // withTransaction retries on transient errors / write conflicts, so the body
+    // re-reads everything and must not have side effects outside the session.
+    await session.withTransaction(async () => {
+      const match = await loadMatch(matchId, session);
+      if (!match) throw new Error('Match not found: ' + matchId);
+      if (match.payoutProcessed || match.paid) {
+        result = { match: String(match._id), skipped: true, reason: 'already_paid', applied: false };
+        return;
+      }
+      if (!matchResults.isPayable(match)) {
+        result = unresolved(match);
+        return;
+      }
+
+      const p = computePayout(match);
+      const now = new Date();
+
+      // claim the match first: a concurrent payout of the same match conflicts here
+      const claim = await Match.updateOne(
+        { _id: match._id, payoutProcessed: { $ne: true }, paid: { $ne: true } },
+        { $set: {
+          paid: true,
+          payoutProcessed: true,
+          payoutAt: now,
+          pot: p.pot,
+          winnerPayout: p.winnerPayout,
+          platformCut: p.platformCut,
+          ...(ratings.isRatable(match) ? { ratingPending: true } : {}),
+        } },
+        { session }
+      );
+      if (claim.modifiedCount !== 1) {
+        result = { match: String(match._id), skipped: true, reason: 'already_paid', applied: false };
+        return;
+      }
+
+      battleId = match.battle?._id || match.battle;
+      const note = `Payout for match ${match._id} (pot: ${money.format(p.pot)}, platform cut: ${money.format(p.platformCut)})`;
+      const entry = await ledger.post({
+        type: 'payout',
+        currency: p.pot.currency,
+        idempotencyKey: payoutKey(match._id),
+        user: p.winnerUserId,
+        match: match._id,
+        battle: battleId,
+        note,
+        lines: [
+          { account: ledger.escrowAccount(battleId), amount: -p.pot.amount },
+          ...p.placings.map(pl => ({ account: ledger.walletAccount(pl.user), amount: pl.payout.amount })),
+          { account: ledger.PLATFORM_REVENUE, amount: p.platformCut.amount },
+        ],
+      }, { session });
+
+      await Transaction.create([
+        ...p.placings.filter(pl => pl.payout.amount > 0).map(pl => ({
+          user: pl.user,
+          match: match._id,
+          battle: battleId,
+          amount: pl.payout,
+          type: 'payout',
+          idempotencyKey: payoutKey(match._id, pl.place),
+          ledgerEntry: entry ? entry._id : undefined,
+          note: p.placings.length > 1 ? `Place ${pl.place} in match ${match._id}: ${money.format(pl.payout)}` : note,
+        })),
+        {
+          user: null,
+          match: match._id,
+          amount: p.platformCut,
+          type: 'platform_fee',
+          idempotencyKey: platformFeeKey(match._id),
+          ledgerEntry: entry ? entry._id : undefined,
+          note: `Platform cut for match ${match._id}`,
+        },
+      ], { session, ordered: true });
+
+      result = describe(match._id, p, true);
+      await audit.record({
+        ...auditContext,
+        action: 'payout.apply',
+        target: { type: 'match', id: match._id },
+        before: { paid: false },
+        after: { paid: true, ...result },
+      }, { session });
+      paidMatch = match;
+    });
+    if (result.applied) {
+      // last match of the battle paid: ongoing -> finished
+      if (battleId) await finishIfComplete(battleId);
+      // placings are final once paid (drawn matches are not rated); a rating
+      // failure must not fail the payout: the match stays ratingPending and
+      // the scheduler retries it (ratings.retryPending)
+      try {
+        await ratings.rateMatch(paidMatch, paidMatch.battle && paidMatch.battle.sport);
+      } catch (err) {
+        console.error('[ratings] match rating failed', String(paidMatch._id), err);
+      }
+    }
+    return result;
+  } catch (err) {
+    // a duplicate idempotency key means this payout was already recorded
+    if (err && err.code === 11000) return { match: String(matchId), skipped: true, reason: 'duplicate_payout', applied: false };
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+// Simple worker-pool concurrency helper (no external deps)
+async function processWithConcurrency(items, workerFn, concurrency = 5) {
+  const results = [];
+  let idx = 0;
+  const workers = new Array(concurrency).fill(0).map(async () => {
+    while (true) {
+      const i = idx++;
+      if (i >= items.length) break;
+      try {
+        const r = await workerFn(items[i], i);
+        results.push({ index: i, ok: true, result: r });
+      } catch (err) {
+        results.push({ index: i, ok: false, error: err.message || String(err) });
+      }
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Pay out (or preview, apply=false) every unprocessed match that has a winner,
+ * leaving out reported results that are still pending or disputed.
+ * Shared by scripts/payout-unpaid.js and POST /admin/payout-unpaid.
+ *
+ * Returns { apply, found, processed, skipped, errors, details } where details
+ * holds one payoutMatch() result (or { match, error }) per match.
+ */
+async function payoutUnpaid({ apply = false, limit = 0, batchSize = 50, concurrency = 10, auditContext, log = () => {} } = {}) {
+  const q = {
+    payoutProcessed: { $ne: true },
+    paid: { $ne: true },
+    winnerEntry: { $ne: null },
+    resultStatus: { $nin: matchResults.UNRESOLVED }, // also matches documents without the field
+  };
+  let query = Match.find(q).select('_id').sort({ createdAt: -1 });
+  if (limit) query = query.limit(limit);
+  const matches = await query.lean();
+
+  const summary = { apply, found: matches.length, processed: 0, skipped: 0, errors: 0, details: [] };
+  if (!matches.length) return summary;
+
+  const batches = [];
+  for (let i = 0; i < matches.length; i += batchSize) batches.push(matches.slice(i, i + batchSize));
+
+  for (let bi = 0; bi < batches.length; bi++) {
+    const batch = batches[bi];
+    log(`Processing batch ${bi + 1}/${batches.length} (size=${batch.length})`);
+
+    const results = await processWithConcurrency(batch, m => payoutMatch(m._id, { apply, auditContext }), concurrency);
+    for (const r of results.sort((a, b) => a.index - b.index)) {
+      if (!r.ok) {
+        summary.errors++;
+        summary.details.push({ match: String(batch[r.index]._id), error: r.error });
+      } else if (r.result.skipped) {
+        summary.skipped++;
+        summary.details.push(r.result);
+      } else {
+        summary.processed++;
+        summary.details.push(r.result);
+      }
+    }
+
+    // Small delay between batches to avoid DB spikes
+    if (bi < batches.length - 1) await sleep(200);
+  }
+
+  return summary;
+}
+
+module.exports = { payoutMatch, payoutUnpaid, computePayout, payoutKey, platformFeeKey };
@@ -0,0 +1,49 @@
+// services/prizes.js
+// Prize structures: the share (whole percent) of a match's prize money
+// (pot - platform cut) each place receives, e.g. [60, 30, 10]. [100] is
+// winner-takes-all.
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+const DEFAULT_STRUCTURE = Object.freeze([100]);
+
+/**
+ * Validate a prize structure from a request: whole positive percentages in
+ * place order, summing to 100, with no more places than entrants per match.
+ * Returns the normalized array.
+ */
+function parsePrizeStructure(value, matchSize) {
+  if (!Array.isArray(value) || !value.length) throw new AppError(400, 'invalid_prize_structure', 'prizeStructure must be a non-empty array of percentages');
+  const shares = value.map(Number);
+  if (shares.some(s => !Number.isInteger(s) || s <= 0)) {
+    throw new AppError(400, 'invalid_prize_structure', 'each share must be a whole positive percentage');
+  }
+  if (shares.reduce((a, b) => a + b, 0) !== 100) throw new AppError(400, 'invalid_prize_structure', 'shares must add up to 100');
+  if (matchSize && shares.length > matchSize) {
+    throw new AppError(400, 'invalid_prize_structure', `at most ${matchSize} places for matches of ${matchSize}`);
+  }
+  return shares;
+}
+
+// Places a match with `entrants` players can pay: shares for places nobody
+// can reach (a short final match) go to first place.
+function effectiveStructure(shares, entrants) {
+  const list = (shares && shares.length ? shares : DEFAULT_STRUCTURE).slice();
+  if (list.length <= entrants) return list;
+  const kept = list.slice(0, Math.max(entrants, 1));
+  kept[0] += list.slice(kept.length).reduce((a, b) => a + b, 0);
+  return kept;
+}
+
+/**
+ * Split `prize` (Money) by shares. Each place gets floor(prize * share / 100);
+ * the rounding remainder goes to first place so the amounts always add up.
+ * Returns [Money] in place order.
+ */
+function distribute(prize, shares) {
+  const amounts = shares.map(s => Math.floor((prize.amount * s) / 100));
+  amounts[0] += prize.amount - amounts.reduce((a, b) => a + b, 0);
+  return amounts.map(a => money.money(a, prize.currency));
+}
+
+module.exports = { DEFAULT_STRUCTURE, parsePrizeStructure, effectiveStructure, distribute };
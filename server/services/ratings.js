@@ -0,0 +1,180 @@
+// services/ratings.js
+// Per-sport Elo ratings. A result with several players is scored as every
+// pair of players meeting once: a better rank wins the pair, an equal rank
+// draws it, and the K-factor is shared out over the n - 1 pairs each player
+// takes part in, so a 2-player result is plain Elo.
+//
+// Ratings change when a Match is paid out (its placings are final then) and
+// when a Game completes. Only matches whose placings come from play count:
+// reported results that were confirmed or resolved by an admin. Drawn matches
+// are a lottery and would only teach the ratings noise. Each result is applied once per player
+// (RatingHistory is unique per user and source) inside one MongoDB transaction.
+//
+// A paid match or completed game is flagged ratingPending in the same write
+// that pays / completes it; the rating clears the flag in its own transaction,
+// so a rating that failed is retried by retryPending() (run by the scheduler).
+const Rating = require('../models/Rating');
+const RatingHistory = require('../models/RatingHistory');
+const Entry = require('../models/Entry');
+const Match = require('../models/Match');
+const Game = require('../models/Game');
+const ledger = require('./ledger');
+const brackets = require('./brackets');
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const PLAYED_RESULTS = ['confirmed', 'resolved']; // Match.resultStatus of reported matches
+
+// Whether a match's placings will be rated once it is paid out.
+function isRatable(match) {
+  return match.resultMode === 'reported' && PLAYED_RESULTS.includes(match.resultStatus);
+}
+
+function normalizeSport(sport) {
+  return String(sport || 'general').trim().toLowerCase();
+}
+
+function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+/**
+ * New ratings for a result. standings: [{ user, rank, rating }] (rank 1 = best).
+ * Returns [{ user, rank, before, after, delta }].
+ */
+function computeElo(standings, k = K_FACTOR) {
+  const n = standings.length;
+  return standings.map((p) => {
+    let diff = 0;
+    for (const o of standings) {
+      if (o === p) continue;
+      const actual = p.rank < o.rank ? 1 : p.rank === o.rank ? 0.5 : 0;
+      diff += actual - expectedScore(p.rating, o.rating);
+    }
+    const delta = Math.round((k / (n - 1)) * diff);
+    return { user: p.user, rank: p.rank, before: p.rating, after: p.rating + delta, delta };
+  });
+}
+
+// Current rating per user id in a sport (DEFAULT_RATING for unrated players).
+async function ratingsFor(userIds, sport, { session } = {}) {
+  const docs = await Rating.find({ user: { $in: userIds }, sport: normalizeSport(sport) }).session(session || null).lean();
+  const byUser = new Map(docs.map(d => [String(d.user), d.rating]));
+  const out = {};
+  for (const id of userIds) out[String(id)] = byUser.has(String(id)) ? byUser.get(String(id)) : DEFAULT_RATING;
+  return out;
+}
+
+/**
+ * Rate one result. standings: [{ user, rank }]; source identifies the result
+ * ("match:<id>" / "game:<id>"). Already-rated results are skipped. Clears
+ * ratingPending on the match or game either way.
+ * Returns { rated, changes }.
+ */
+async function applyResult({ sport, source, standings, match, game }) {
+  const s = normalizeSport(sport);
+
+  return ledger.withTransaction(null, async (session) => {
+    if (match) await Match.updateOne({ _id: match }, { $unset: { ratingPending: 1 } }, { session });
+    if (game) await Game.updateOne({ _id: game }, { $unset: { ratingPending: 1 } }, { session });
+    if (standings.length < 2) return { rated: false, reason: 'not_enough_players', changes: [] };
+    if (await RatingHistory.exists({ source }).session(session)) return { rated: false, reason: 'already_rated', changes: [] };
+
+    const current = await ratingsFor(standings.map(p => p.user), s, { session });
+    const changes = computeElo(standings.map(p => ({ user: p.user, rank: p.rank, rating: current[String(p.user)] })));
+    const now = new Date();
+
+    for (const c of changes) {
+      await Rating.updateOne(
+        { user: c.user, sport: s },
+        { $set: { rating: c.after, updatedAt: now }, $inc: { games: 1 } },
+        { upsert: true, session }
+      );
+    }
+    await RatingHistory.create(changes.map(c => ({
+      user: c.user,
+      sport: s,
+      source,
+      match,
+      game,
+      rank: c.rank,
+      players: changes.length,
+      before: c.before,
+      after: c.after,
+      delta: c.delta,
+      createdAt: now,
+    })), { session, ordered: true });
+
+    return { rated: true, changes };
+  });
+}
+
+// Rate a paid-out match (populated or not): placings by place, everyone else
+// shares last rank. Drawn matches are skipped.
+async function rateMatch(match, sport) {
+  if (!isRatable(match)) return { rated: false, reason: 'result_not_played', changes: [] };
+  const entries = await Entry.find({ _id: { $in: match.entries.map(e => e._id || e) } }).select('user').lean();
+  const userOf = new Map(entries.map(e => [String(e._id), e.user]));
+  const results = match.results && match.results.length
+    ? match.results
+    : [{ entry: match.winnerEntry, place: 1 }];
+  const placed = new Map(results.map(r => [String(r.entry._id || r.entry), r.place]));
+  const last = results.length + 1;
+
+  const standings = entries.map(e => ({ user: userOf.get(String(e._id)), rank: placed.get(String(e._id)) || last }));
+  return applyResult({ sport, source: `match:${match._id}`, standings, match: match._id });
+}
+
+// Rate a completed game: players linked to a user, ranked by bracket placing
+// for a decided tournament, otherwise by score (equal scores tie).
+async function rateGame(game) {
+  const linked = (game.players || []).filter(p => p.user);
+  let rankOf;
+  if (game.bracket && game.bracket.champion) {
+    const place = new Map(brackets.placements(game.bracket).map(p => [p.username, p.place]));
+    rankOf = p => place.get(p.username);
+  } else {
+    const scores = [...new Set(linked.map(p => p.score || 0))].sort((a, b) => b - a);
+    rankOf = p => scores.indexOf(p.score || 0) + 1;
+  }
+  const standings = linked.map(p => ({ user: p.user, rank: rankOf(p) }));
+  return applyResult({ sport: game.sport, source: `game:${game._id}`, standings, game: game._id });
+}
+
+/**
+ * Rate the paid matches and completed games still flagged ratingPending (a
+ * rating that failed right after the payout / result). Idempotent.
+ * Returns { rated, failed: [{ source, error }] }.
+ */
+async function retryPending({ limit = 100 } = {}) {
+  const out = { rated: 0, failed: [] };
+  const matches = await Match.find({ ratingPending: true }).populate('battle', 'sport').limit(limit);
+  const games = await Game.find({ ratingPending: true }).limit(limit);
+  const jobs = [
+    ...matches.map(m => ({ source: `match:${m._id}`, run: () => rateMatch(m, m.battle && m.battle.sport) })),
+    ...games.map(g => ({ source: `game:${g._id}`, run: () => rateGame(g) })),
+  ];
+  for (const job of jobs) {
+    try {
+      const r = await job.run();
+      if (r.rated) out.rated++;
+    } catch (err) {
+      out.failed.push({ source: job.source, error: err.message || String(err) });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  isRatable,
+  normalizeSport,
+  expectedScore,
+  computeElo,
+  ratingsFor,
+  applyResult,
+  rateMatch,
+  rateGame,
+  retryPending,
+};
@@ -0,0 +1,162 @@
+// services/two-factor.js
+// TOTP two-factor authentication for staff accounts (lib/totp.js) and the
+// account lockout shared with password checks: MAX_FAILURES consecutive bad
+// passwords or codes lock the account for LOCK_MINUTES.
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const totp = require('../lib/totp');
+const { AppError } = require('../lib/errors');
+
+const ISSUER = process.env.TOTP_ISSUER || 'BattleHub';
+const MAX_FAILURES = 5;
+const LOCK_MINUTES = 15;
+const SECRET_FIELDS = '+totp.secret +totp.pendingSecret +totp.recoveryCodes +totp.lastStep';
+
+function isLocked(user, now = new Date()) {
+  return Boolean(user.lockedUntil && user.lockedUntil > now);
+}
+
+function lockedError(user) {
+  return new AppError(423, 'account_locked', 'Too many failed attempts; try again later', { lockedUntil: user.lockedUntil });
+}
+
+/**
+ * Count a failed password / code. Reaching MAX_FAILURES locks the account and
+ * resets the counter. Returns the updated user.
+ */
+async function recordFailure(userId) {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { failedAuthAttempts: 1 } }, { new: true });
+  if (!user || user.failedAuthAttempts < MAX_FAILURES) return user;
+  return User.findByIdAndUpdate(userId, {
+    $set: { failedAuthAttempts: 0, lockedUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) },
+  }, { new: true });
+}
+
+async function recordSuccess(user) {
+  if (user.failedAuthAttempts || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { $set: { failedAuthAttempts: 0 }, $unset: { lockedUntil: 1 } });
+  }
+}
+
+async function withSecrets(userId) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw new AppError(404, 'not_found');
+  return user;
+}
+
+/**
+ * Start (or restart) enrollment: a new secret, its otpauth:// URI for the QR
+ * code and fresh recovery codes. Needs the account password, so a stolen
+ * session token alone cannot attach an authenticator. Nothing changes for
+ * logins until confirmEnrollment() succeeds. The recovery codes are only
+ * returned here.
+ */
+async function startEnrollment(userId, password) {
+  const user = await withSecrets(userId);
+  if (isLocked(user)) throw lockedError(user);
+  if (user.totp && user.totp.enabled) throw new AppError(409, 'totp_already_enabled');
+  const ok = typeof password === 'string' && user.password ? await bcrypt.compare(password, user.password) : false;
+  if (!ok) {
+    const after = await recordFailure(user._id);
+    if (after && isLocked(after)) throw lockedError(after);
+    throw new AppError(401, 'invalid_credentials', 'Enter your account password to set up two-factor authentication');
+  }
+
+  const secret = totp.generateSecret();
+  const recoveryCodes = totp.generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: {
+    'totp.pendingSecret': secret,
+    'totp.recoveryCodes': recoveryCodes.map(totp.hashRecoveryCode),
+  } });
+  return { secret, otpauthUri: totp.provisioningUri({ secret, account: user.email, issuer: ISSUER }), recoveryCodes };
+}
+
+// Enable 2FA once the user proves their app produces codes for the pending secret.
+async function confirmEnrollment(userId, code) {
+  const user = await withSecrets(userId);
+  if (isLocked(user)) throw lockedError(user);
+  if (user.totp && user.totp.enabled) throw new AppError(409, 'totp_already_enabled');
+  if (!user.totp || !user.totp.pendingSecret) throw new AppError(409, 'totp_setup_required', 'start enrollment first');
+
+  const step = totp.verify(user.totp.pendingSecret, code);
+  if (step === null) {
+    const after = await recordFailure(user._id);
+    if (after && isLocked(after)) throw lockedError(after);
+    throw new AppError(401, 'invalid_totp');
+  }
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'totp.enabled': true, 'totp.secret': user.totp.pendingSecret, 'totp.lastStep': step, 'totp.enrolledAt': new Date(), failedAuthAttempts: 0 },
+    $unset: { 'totp.pendingSecret': 1 },
+  });
+  return { enabled: true };
+}
+
+/**
+ * Check a code for an enrolled user: a current TOTP code, or with
+ * allowRecovery a one-time recovery code (consumed). Failures count towards
+ * the lockout. Throws 401 invalid_totp / 423 account_locked.
+ */
+async function verifyCode(userId, code, { allowRecovery = false } = {}) {
+  const user = await withSecrets(userId);
+  if (isLocked(user)) throw lockedError(user);
+  if (!user.totp || !user.totp.enabled) throw new AppError(403, 'totp_enrollment_required', 'set up two-factor authentication first');
+  if (!code) throw new AppError(401, 'totp_required', 'a current authenticator code is required');
+
+  const lastStep = user.totp.lastStep != null ? user.totp.lastStep : -1;
+  const step = totp.verify(user.totp.secret, code, { afterStep: lastStep });
+  // the step guard in the filter makes a code single-use even under concurrent requests
+  if (step !== null) {
+    const used = await User.updateOne(
+      { _id: user._id, $or: [{ 'totp.lastStep': { $lt: step } }, { 'totp.lastStep': null }] },
+      { $set: { 'totp.lastStep': step } }
+    );
+    if (used.modifiedCount === 1) {
+      await recordSuccess(user);
+      return { method: 'totp' };
+    }
+  }
+
+  if (allowRecovery) {
+    const hash = totp.hashRecoveryCode(code);
+    const used = await User.updateOne({ _id: user._id, 'totp.recoveryCodes': hash }, { $pull: { 'totp.recoveryCodes': hash } });
+    if (used.modifiedCount === 1) {
+      await recordSuccess(user);
+      return { method: 'recovery_code', recoveryCodesLeft: user.totp.recoveryCodes.length - 1 };
+    }
+  }
+
+  const after = await recordFailure(user._id);
+  if (after && isLocked(after)) throw lockedError(after);
+  throw new AppError(401, 'invalid_totp');
+}
+
+// Turn 2FA off; needs a current code (or a recovery code).
+async function disable(userId, code) {
+  await verifyCode(userId, code, { allowRecovery: true });
+  await User.updateOne({ _id: userId }, {
+    $set: { 'totp.enabled': false },
+    $unset: { 'totp.secret': 1, 'totp.pendingSecret': 1, 'totp.recoveryCodes': 1, 'totp.lastStep': 1, 'totp.enrolledAt': 1 },
+  });
+  return { enabled: false };
+}
+
+// Admin action: lift a lockout early.
+async function unlock(userId) {
+  const user = await User.findByIdAndUpdate(userId, { $set: { failedAuthAttempts: 0 }, $unset: { lockedUntil: 1 } }, { new: true });
+  if (!user) throw new AppError(404, 'not_found');
+  return user;
+}
+
+module.exports = {
+  MAX_FAILURES,
+  LOCK_MINUTES,
+  isLocked,
+  lockedError,
+  recordFailure,
+  recordSuccess,
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  disable,
+  unlock,
+};
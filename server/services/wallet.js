@@ -0,0 +1,109 @@
+// services/wallet.js
+// Player wallet: deposits arriving through a payment provider, manual balance
+// adjustments by finance staff and the wallet summary. Balances themselves live in the ledger (services/ledger.js);
+// paying entry fees from the wallet is in services/entry-fees.js.
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledger = require('./ledger');
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+function depositKey(paymentId) {
+  return `deposit:${paymentId}`;
+}
+
+/**
+ * Credit a completed provider payment to the player's wallet
+ * (clearing:<provider> -> wallet:<userId>). Idempotent per payment.
+ * Returns { credited, alreadyCredited }.
+ */
+async function creditDeposit(payment, { note, session } = {}) {
+  const key = depositKey(payment._id);
+  return ledger.withTransaction(session, async (s) => {
+    if (await LedgerEntry.exists({ idempotencyKey: key }).session(s)) return { credited: null, alreadyCredited: true };
+
+    const amount = money.money(payment.amount.amount, payment.amount.currency);
+    const text = note || `Deposit via ${payment.provider}${payment.providerRef ? ` (${payment.providerRef})` : ''}`;
+    const posted = await ledger.post({
+      type: 'deposit',
+      currency: amount.currency,
+      idempotencyKey: key,
+      user: payment.user,
+      note: text,
+      lines: [
+        { account: ledger.clearingAccount(payment.provider), amount: -amount.amount },
+        { account: ledger.walletAccount(payment.user), amount: amount.amount },
+      ],
+    }, { session: s });
+
+    await Transaction.create([{
+      user: payment.user,
+      amount,
+      type: 'deposit',
+      idempotencyKey: key,
+      ledgerEntry: posted ? posted._id : undefined,
+      note: text,
+    }], { session: s });
+
+    return { credited: amount, alreadyCredited: false };
+  });
+}
+
+/**
+ * Correct a wallet balance by `amount` (signed Money) against
+ * equity:adjustments. A debit cannot take the wallet below zero. `reference`
+ * makes the adjustment idempotent (a repeat fails with 409 duplicate_adjustment).
+ * Returns { adjusted, transaction }.
+ */
+async function adjustBalance(userId, amount, { reason, reference, actor } = {}) {
+  if (!amount.amount) throw new AppError(400, 'invalid_amount', 'amount must not be zero');
+  if (!reason || !String(reason).trim()) throw new AppError(400, 'reason_required');
+  const key = `adjustment:${reference}`;
+  const note = `Adjustment by ${actor || 'staff'}: ${String(reason).trim()}`;
+
+  try {
+    return await ledger.withTransaction(null, async (s) => {
+      const posted = await ledger.post({
+        type: 'adjustment',
+        currency: amount.currency,
+        idempotencyKey: key,
+        user: userId,
+        note,
+        lines: [
+          { account: ledger.ADJUSTMENTS, amount: -amount.amount },
+          { account: ledger.walletAccount(userId), amount: amount.amount },
+        ],
+      }, { session: s });
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        amount,
+        type: 'adjustment',
+        idempotencyKey: key,
+        ledgerEntry: posted ? posted._id : undefined,
+        note,
+      }], { session: s, ordered: true });
+      return { adjusted: amount, transaction };
+    });
+  } catch (err) {
+    if (err && err.code === 11000) throw new AppError(409, 'duplicate_adjustment', 'an adjustment with this reference was already made', { reference });
+    throw err;
+  }
+}
+
+/**
+ * Balances in every currency the user holds plus their most recent transactions.
+ * Returns { balances: [{ amount, currency }], transactions }.
+ */
+async function summary(userId, { limit = 20 } = {}) {
+  const [balances, transactions] = await Promise.all([
+    ledger.walletBalances([userId]),
+    Transaction.find({ user: userId })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .select('type amount note match battle createdAt')
+      .lean(),
+  ]);
+  return { balances: balances[String(userId)], transactions };
+}
+
+module.exports = { creditDeposit, adjustBalance, summary, depositKey };
@@ -0,0 +1,202 @@
+// services/withdrawals.js
+// Player cash-outs. Requesting a withdrawal reserves the amount immediately
+// (wallet:<userId> -> escrow:withdrawal:<id>) so it cannot be spent twice; an
+// admin then approves it (payout through PAYOUT_PROVIDER) or rejects it.
+//
+//   approved + provider paid     escrow:withdrawal:<id> -> clearing:<provider>
+//   rejected / cancelled / failed escrow:withdrawal:<id> -> wallet:<userId>
+//
+// Every status change and its ledger posting happen in one MongoDB
+// transaction, and each posting has its own idempotency key.
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const payments = require('./payments');
+const money = require('../lib/money');
+const { AppError } = require('../lib/errors');
+
+const PHONE_RE = /^\+?[0-9]{9,15}$/;
+
+// { phone, network?, name? } -> normalized mobile money destination
+function parseDestination(src) {
+  const d = src && typeof src === 'object' ? src : {};
+  const phone = String(d.phone || '').replace(/[\s-]/g, '');
+  if (!PHONE_RE.test(phone)) throw new AppError(400, 'invalid_destination', 'destination.phone must be a mobile number, e.g. +256700000000');
+  return {
+    type: 'mobile_money',
+    phone,
+    network: d.network ? String(d.network).trim().slice(0, 40) : undefined,
+    name: d.name ? String(d.name).trim().slice(0, 100) : undefined,
+  };
+}
+
+// Atomically move a withdrawal from one of `from` to `set.status`, inside session s.
+async function transition(id, from, set, s) {
+  if (!mongoose.isValidObjectId(id)) throw new AppError(404, 'not_found');
+  const w = await Withdrawal.findOneAndUpdate({ _id: id, status: { $in: from } }, { $set: set }, { new: true, session: s });
+  if (w) return w;
+  const current = await Withdrawal.findById(id).session(s).lean();
+  if (!current) throw new AppError(404, 'not_found');
+  throw new AppError(409, 'invalid_status', `Withdrawal is ${current.status}`, { status: current.status });
+}
+
+// Give the reserved amount back to the player's wallet.
+async function releaseReserve(w, s) {
+  const note = `Withdrawal ${w._id} ${w.status}${w.reason ? `: ${w.reason}` : ''}; funds returned to wallet`;
+  const posted = await ledger.post({
+    type: 'refund',
+    currency: w.amount.currency,
+    idempotencyKey: `withdrawal_release:${w._id}`,
+    user: w.user,
+    note,
+    lines: [
+      { account: ledger.withdrawalHoldAccount(w._id), amount: -w.amount.amount },
+      { account: ledger.walletAccount(w.user), amount: w.amount.amount },
+    ],
+  }, { session: s });
+  await Transaction.create([{
+    user: w.user,
+    amount: w.amount,
+    type: 'refund',
+    idempotencyKey: `withdrawal_release:${w._id}`,
+    ledgerEntry: posted ? posted._id : undefined,
+    note,
+  }], { session: s });
+}
+
+/**
+ * Create a withdrawal request and reserve the funds.
+ * Throws AppError 409 insufficient_funds when the wallet balance is too low.
+ */
+async function requestWithdrawal(user, { amount, destination }) {
+  if (!(amount.amount > 0)) throw new AppError(400, 'invalid_amount');
+  const dest = parseDestination(destination);
+
+  return ledger.withTransaction(null, async (s) => {
+    const [w] = await Withdrawal.create([{ user: user._id, amount, destination: dest }], { session: s });
+    const note = `Withdrawal ${w._id} of ${money.format(amount)} to ${dest.phone}`;
+    const posted = await ledger.post({
+      type: 'withdrawal',
+      currency: amount.currency,
+      idempotencyKey: `withdrawal_hold:${w._id}`,
+      user: user._id,
+      note,
+      lines: [
+        { account: ledger.walletAccount(user._id), amount: -amount.amount },
+        { account: ledger.withdrawalHoldAccount(w._id), amount: amount.amount },
+      ],
+    }, { session: s });
+    await Transaction.create([{
+      user: user._id,
+      amount,
+      type: 'withdrawal',
+      idempotencyKey: `withdrawal:${w._id}`,
+      ledgerEntry: posted ? posted._id : undefined,
+      note,
+    }], { session: s });
+    return w;
+  });
+}
+
+// Player withdraws their own request while it is still awaiting review.
+async function cancelWithdrawal(user, id) {
+  return ledger.withTransaction(null, async (s) => {
+    const owned = mongoose.isValidObjectId(id) && await Withdrawal.exists({ _id: id, user: user._id }).session(s);
+    if (!owned) throw new AppError(404, 'not_found');
+    const w = await transition(id, ['pending'], { status: 'cancelled', reason: 'Cancelled by player' }, s);
+    await releaseReserve(w, s);
+    return w;
+  });
+}
+
+async function rejectWithdrawal(id, reason) {
+  if (!reason || !String(reason).trim()) throw new AppError(400, 'reason_required');
+  return ledger.withTransaction(null, async (s) => {
+    const w = await transition(id, ['pending'], { status: 'rejected', reason: String(reason).trim(), reviewedAt: new Date() }, s);
+    await releaseReserve(w, s);
+    return w;
+  });
+}
+
+// The provider confirmed the transfer: the reserved money has left the platform.
+async function completeWithdrawal(id, { reference, raw } = {}) {
+  return ledger.withTransaction(null, async (s) => {
+    const set = { status: 'completed', completedAt: new Date() };
+    if (reference) set.providerRef = String(reference);
+    if (raw !== undefined) set.providerStatus = raw;
+    const w = await transition(id, ['processing'], set, s);
+    await ledger.post({
+      type: 'withdrawal',
+      currency: w.amount.currency,
+      idempotencyKey: `withdrawal_paid:${w._id}`,
+      user: w.user,
+      note: `Withdrawal ${w._id} paid via ${w.provider}${w.providerRef ? ` (${w.providerRef})` : ''}`,
+      lines: [
+        { account: ledger.withdrawalHoldAccount(w._id), amount: -w.amount.amount },
+        { account: ledger.clearingAccount(w.provider), amount: w.amount.amount },
+      ],
+    }, { session: s });
+    return w;
+  });
+}
+
+async function failWithdrawal(id, reason, { raw } = {}) {
+  return ledger.withTransaction(null, async (s) => {
+    const set = { status: 'failed', reason: String(reason || 'Payout failed') };
+    if (raw !== undefined) set.providerStatus = raw;
+    const w = await transition(id, ['processing'], set, s);
+    await releaseReserve(w, s);
+    return w;
+  });
+}
+
+/**
+ * Approve a pending withdrawal and send it through the payout provider.
+ * Completed or failed provider answers are applied right away; a pending one
+ * (e.g. the manual provider) waits for completeWithdrawal / failWithdrawal.
+ * So does a payout call that threw (timeout, 5xx): the provider may still have
+ * sent the money, so the reserve is kept and the error recorded in payoutError
+ * until someone checks with the provider.
+ */
+async function approveWithdrawal(id) {
+  const provider = payments.payoutProvider();
+  const w = await ledger.withTransaction(null, (s) => transition(id, ['pending'], { status: 'processing', provider, reviewedAt: new Date() }, s));
+
+  let result;
+  try {
+    result = await payments.initiatePayout(provider, {
+      reference: String(w._id),
+      user: w.user,
+      amount: w.amount,
+      destination: w.destination,
+    });
+  } catch (err) {
+    console.error('[withdrawals] payout outcome unknown, left processing', String(w._id), err.message);
+    return Withdrawal.findByIdAndUpdate(w._id, { $set: { payoutError: { message: err.message, at: new Date() } } }, { new: true });
+  }
+
+  if (result.status === 'completed') return completeWithdrawal(w._id, { reference: result.providerRef, raw: result.raw });
+  if (result.status === 'failed') return failWithdrawal(w._id, 'Payout rejected by provider', { raw: result.raw });
+  return Withdrawal.findByIdAndUpdate(w._id, { $set: { providerRef: result.providerRef, providerStatus: result.raw } }, { new: true });
+}
+
+async function listWithdrawals({ user, status, limit = 100 } = {}) {
+  const q = {};
+  if (user) q.user = user;
+  if (status) q.status = status;
+  // the review queue is worked oldest first; players see their newest first
+  const sort = user ? { createdAt: -1 } : { createdAt: 1 };
+  return Withdrawal.find(q).sort(sort).limit(limit).lean();
+}
+
+module.exports = {
+  parseDestination,
+  requestWithdrawal,
+  cancelWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  completeWithdrawal,
+  failWithdrawal,
+  listWithdrawals,
+};
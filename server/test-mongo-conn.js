@@ -41,8 +41,8 @@ async function run() {
 
     // helpful quick-check endpoints for your admin UI:
     console.log('\nQuick curl checks (run locally):');
-    console.log('curl -i -H "x-admin-key: BattleHub2025Secret!" "https://battlehub-backend.onrender.com/admin/users"');
-    console.log('curl -i -H "x-admin-key: BattleHub2025Secret!" "https://battlehub-backend.onrender.com/admin/matches"');
+    console.log('curl -i -H "Authorization: Bearer $ADMIN_TOKEN" "https://battlehub-backend.onrender.com/admin/users"');
+    console.log('curl -i -H "Authorization: Bearer $ADMIN_TOKEN" "https://battlehub-backend.onrender.com/admin/matches"');
 
   } catch (err) {
     console.error('❌ Mongo error:', err.message || err);
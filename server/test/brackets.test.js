@@ -0,0 +1,64 @@
+// test/brackets.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const brackets = require('../services/brackets');
+
+const players = n => Array.from({ length: n }, (_, i) => `p${i + 1}`);
+
+// Play every ready match until a champion is crowned; pick(match) names the winner.
+function playOut(bracket, pick) {
+  for (let guard = 0; !bracket.champion; guard++) {
+    assert.ok(guard < 100, 'bracket never finished');
+    const m = bracket.matches.find(x => x.status === 'ready');
+    assert.ok(m, 'no ready match and no champion');
+    brackets.reportResult(bracket, m.code, pick(m));
+  }
+  return bracket;
+}
+
+// the better (lower) seed wins
+const favourite = bracket => m => m.players.slice().sort((a, b) => bracket.seeds.indexOf(a) - bracket.seeds.indexOf(b))[0];
+
+test('seedOrder keeps the top two seeds apart until the final', () => {
+  assert.deepEqual(brackets.seedOrder(4), [1, 4, 2, 3]);
+  assert.deepEqual(brackets.seedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('a single-elimination bracket with byes runs to a champion', () => {
+  const bracket = brackets.build(players(5), { format: 'single', seeding: 'rating' });
+  assert.equal(bracket.size, 8);
+  playOut(bracket, favourite(bracket));
+
+  assert.equal(bracket.champion, 'p1');
+  assert.ok(bracket.matches.every(m => ['completed', 'bye', 'void'].includes(m.status)));
+  const places = brackets.placements(bracket);
+  assert.deepEqual(places.map(p => p.username).sort(), players(5));
+  assert.deepEqual(places.find(p => p.username === 'p1'), { username: 'p1', place: 1 });
+});
+
+test('a double-elimination bracket runs to a champion without a reset final', () => {
+  const bracket = brackets.build(players(6), { format: 'double' });
+  playOut(bracket, favourite(bracket));
+
+  assert.equal(bracket.champion, bracket.seeds[0]);
+  assert.equal(bracket.matches.find(m => m.code === 'GF-2').status, 'void');
+  assert.ok(bracket.matches.every(m => ['completed', 'bye', 'void'].includes(m.status)));
+});
+
+test('a double-elimination grand final lost by the winners champion is replayed', () => {
+  const bracket = brackets.build(players(4), { format: 'double', seeding: 'rating' });
+  // favourites win everywhere except GF-1, which the losers-bracket champion takes
+  playOut(bracket, m => (m.code === 'GF-1' ? m.players[1] : favourite(bracket)(m)));
+
+  const reset = bracket.matches.find(m => m.code === 'GF-2');
+  assert.equal(reset.status, 'completed');
+  assert.equal(bracket.champion, reset.winner);
+  assert.equal(brackets.placements(bracket).filter(p => p.place === 1).length, 1);
+});
+
+test('only ready matches take a result', () => {
+  const bracket = brackets.build(players(4), { format: 'single', seeding: 'rating' });
+  assert.throws(() => brackets.reportResult(bracket, 'W2-1', 'p1'), { code: 'bracket_match_not_ready' });
+  assert.throws(() => brackets.reportResult(bracket, 'W1-1', 'nobody'), { code: 'invalid_winner' });
+  assert.throws(() => brackets.reportResult(bracket, 'X9-9', 'p1'), { code: 'bracket_match_not_found' });
+});
@@ -0,0 +1,54 @@
+// test/fairness.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fairness = require('../services/fairness');
+
+const SEED = 'a'.repeat(64);
+const ENTRIES = ['e1', 'e2', 'e3', 'e4'];
+const CLIENT_SEEDS = ['s1', 's2', 's3', 's4'];
+
+test('drawRanking is a pure function of seed, key and seeds', () => {
+  const first = fairness.drawRanking(SEED, 'battle-1', ENTRIES, 4, CLIENT_SEEDS);
+  assert.deepEqual(fairness.drawRanking(SEED, 'battle-1', ENTRIES, 4, CLIENT_SEEDS), first);
+  // pinned, so a change to the draw (which would break published verifications) fails here
+  assert.deepEqual(first, ['e4', 'e3', 'e1', 'e2']);
+  assert.deepEqual(fairness.drawRanking(SEED, 'match-1', ENTRIES, 4), ['e1', 'e2', 'e3', 'e4']);
+});
+
+test('drawRanking ranks every entrant once', () => {
+  const ranking = fairness.drawRanking(SEED, 'battle-2', ENTRIES, 4, CLIENT_SEEDS);
+  assert.deepEqual(ranking.slice().sort(), ENTRIES);
+});
+
+test('1st place of a multi-place draw is the single-winner draw', () => {
+  for (const key of ['battle-1', 'battle-2', 'battle-3']) {
+    const winner = fairness.drawRanking(SEED, key, ENTRIES, 1, CLIENT_SEEDS);
+    const ranking = fairness.drawRanking(SEED, key, ENTRIES, 3, CLIENT_SEEDS);
+    assert.equal(ranking.length, 3);
+    assert.equal(ranking[0], winner[0]);
+  }
+});
+
+test('a commitment hashes its seed', () => {
+  const c = fairness.commitment();
+  assert.equal(fairness.hashSeed(c.drawSeed), c.drawSeedHash);
+});
+
+test('verifyMatch recomputes a revealed v2 draw', () => {
+  const seed = fairness.generateServerSeed();
+  const ranking = fairness.drawRanking(seed, 'battle-9', ENTRIES, 2, CLIENT_SEEDS);
+  const match = {
+    _id: 'match-9',
+    battle: 'battle-9',
+    drawScheme: fairness.SCHEME,
+    entries: ENTRIES,
+    clientSeeds: CLIENT_SEEDS,
+    seed,
+    seedHash: fairness.hashSeed(seed),
+    seedRevealedAt: new Date(),
+    winnerEntry: ranking[0],
+    results: ranking.map((entry, i) => ({ entry, place: i + 1 })),
+  };
+  assert.equal(fairness.verifyMatch(match).verified, true);
+  assert.equal(fairness.verifyMatch({ ...match, winnerEntry: ranking[1] }).verified, false);
+});
@@ -0,0 +1,32 @@
+// test/fees.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../services/fees');
+const money = require('../lib/money');
+
+const TIERED = { rate: 0.15, tiers: [{ minPot: 1000, rate: 0.1 }, { minPot: 5000, rate: 0.05 }] };
+
+test('applyFeeRule uses the highest tier the pot reaches', () => {
+  assert.deepEqual(fees.applyFeeRule(TIERED, money.money(6000, 'USD')), { platformCut: money.money(300, 'USD'), rate: 0.05 });
+  assert.deepEqual(fees.applyFeeRule(TIERED, money.money(1000, 'USD')), { platformCut: money.money(100, 'USD'), rate: 0.1 });
+  assert.deepEqual(fees.applyFeeRule(TIERED, money.money(999, 'USD')), { platformCut: money.money(150, 'USD'), rate: 0.15 });
+});
+
+test('applyFeeRule applies the minimum and the cap', () => {
+  assert.equal(fees.applyFeeRule({ rate: 0.01, minimum: 50 }, money.money(1000, 'USD')).platformCut.amount, 50);
+  assert.equal(fees.applyFeeRule({ rate: 0.2, cap: 100 }, money.money(2000, 'USD')).platformCut.amount, 100);
+});
+
+test('applyFeeRule never takes more than the pot', () => {
+  assert.equal(fees.applyFeeRule({ rate: 0.1, minimum: 5000 }, money.money(1000, 'USD')).platformCut.amount, 1000);
+});
+
+test('tiers, minimum and cap only apply in the rule currency', () => {
+  const rule = { currency: 'KES', rate: 0.1, minimum: 500, cap: 20, tiers: [{ minPot: 0, rate: 0.5 }] };
+  assert.deepEqual(fees.applyFeeRule(rule, money.money(1000, 'USD')), { platformCut: money.money(100, 'USD'), rate: 0.1 });
+  assert.deepEqual(fees.applyFeeRule(rule, money.money(1000, 'KES')), { platformCut: money.money(20, 'KES'), rate: 0.5 });
+});
+
+test('the default rule takes 15%', () => {
+  assert.equal(fees.applyFeeRule(fees.DEFAULT_RULE, money.money(2000, 'USD')).platformCut.amount, 300);
+});
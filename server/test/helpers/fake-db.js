@@ -0,0 +1,83 @@
+// test/helpers/fake-db.js
+// In-memory stand-ins for the model calls the ledger and payouts make, so their
+// idempotency can be tested without a MongoDB server. Every fake is installed
+// with node:test's mock.method; call mock.restoreAll() after each test.
+// Unique idempotency keys fail with code 11000, as the real indexes do.
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../models/LedgerEntry');
+const LedgerAccount = require('../../models/LedgerAccount');
+const Transaction = require('../../models/Transaction');
+const AuditLog = require('../../models/AuditLog');
+
+// a call nothing here fakes fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+function duplicateKey(key) {
+  return Object.assign(new Error(`E11000 duplicate key error: ${key}`), { code: 11000 });
+}
+
+// Thenable standing in for a mongoose Query resolving to `value`.
+function query(value) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  for (const name of ['populate', 'session', 'select', 'sort', 'lean', 'limit']) q[name] = () => q;
+  return q;
+}
+
+// The session's transaction only runs the callback: there is no rollback, so
+// the tests check what was written before the first failure.
+function fakeSession() {
+  return {
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {},
+  };
+}
+
+// Insert-only collection with a unique idempotencyKey.
+function uniqueCollection(mock, Model, docs) {
+  mock.method(Model, 'create', async (input) => {
+    const out = [];
+    for (const d of Array.isArray(input) ? input : [input]) {
+      if (d.idempotencyKey && docs.some(x => x.idempotencyKey === d.idempotencyKey)) throw duplicateKey(d.idempotencyKey);
+      const doc = { _id: new mongoose.Types.ObjectId(), ...d };
+      docs.push(doc);
+      out.push(doc);
+    }
+    return Array.isArray(input) ? out : out[0];
+  });
+}
+
+/**
+ * Fake ledger storage: LedgerEntry / LedgerAccount / Transaction / AuditLog
+ * writes and mongoose.startSession. Returns { entries, transactions, audit, balance(code, currency) }.
+ */
+function install(mock) {
+  const db = { entries: [], transactions: [], audit: [], accounts: new Map() };
+  const accountKey = (code, currency) => `${code}|${currency}`;
+
+  mock.method(mongoose, 'startSession', async () => fakeSession());
+  uniqueCollection(mock, LedgerEntry, db.entries);
+  uniqueCollection(mock, Transaction, db.transactions);
+  uniqueCollection(mock, AuditLog, db.audit);
+  mock.method(AuditLog, 'findOne', () => query(db.audit.length ? db.audit[db.audit.length - 1] : null));
+
+  mock.method(LedgerAccount, 'updateOne', async ({ code, currency }, { $inc }) => {
+    const key = accountKey(code, currency);
+    db.accounts.set(key, (db.accounts.get(key) || 0) + $inc.balance);
+    return { modifiedCount: 1 };
+  });
+  // the guarded wallet debit: only when the balance covers it
+  mock.method(LedgerAccount, 'findOneAndUpdate', async ({ code, currency, balance }, { $inc }) => {
+    const key = accountKey(code, currency);
+    const current = db.accounts.get(key) || 0;
+    if (balance && current < balance.$gte) return null;
+    db.accounts.set(key, current + $inc.balance);
+    return { code, currency, balance: current + $inc.balance };
+  });
+
+  db.balance = (code, currency) => db.accounts.get(accountKey(code, currency)) || 0;
+  return db;
+}
+
+module.exports = { install, query, fakeSession, duplicateKey };
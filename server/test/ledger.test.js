@@ -0,0 +1,62 @@
+// test/ledger.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fake-db');
+const ledger = require('../services/ledger');
+
+afterEach(() => mock.restoreAll());
+
+const deposit = (key, amount) => ({
+  type: 'deposit',
+  currency: 'USD',
+  idempotencyKey: key,
+  lines: [
+    { account: ledger.clearingAccount('fake'), amount: -amount },
+    { account: ledger.walletAccount('u1'), amount },
+  ],
+});
+
+test('a repeated idempotency key is refused and moves no money twice', async () => {
+  const db = fakeDb.install(mock);
+  await ledger.post(deposit('deposit:p1', 500));
+  await assert.rejects(ledger.post(deposit('deposit:p1', 500)), { code: 11000 });
+
+  assert.equal(db.entries.length, 1);
+  assert.equal(db.balance(ledger.walletAccount('u1'), 'USD'), 500);
+  assert.equal(db.balance(ledger.clearingAccount('fake'), 'USD'), -500);
+});
+
+test('distinct keys post separately', async () => {
+  const db = fakeDb.install(mock);
+  await ledger.post(deposit('deposit:p1', 500));
+  await ledger.post(deposit('deposit:p2', 250));
+  assert.equal(db.balance(ledger.walletAccount('u1'), 'USD'), 750);
+});
+
+test('a wallet is never overdrawn', async () => {
+  const db = fakeDb.install(mock);
+  await ledger.post(deposit('deposit:p1', 100));
+  const spend = {
+    type: 'entry_fee',
+    currency: 'USD',
+    lines: [
+      { account: ledger.walletAccount('u1'), amount: -150 },
+      { account: ledger.escrowAccount('b1'), amount: 150 },
+    ],
+  };
+  await assert.rejects(ledger.post(spend), { code: 'insufficient_funds' });
+  assert.equal(db.balance(ledger.walletAccount('u1'), 'USD'), 100);
+});
+
+test('unbalanced or fractional entries are refused before anything is written', async () => {
+  const db = fakeDb.install(mock);
+  await assert.rejects(ledger.post({ type: 'adjustment', currency: 'USD', lines: [{ account: ledger.PLATFORM_REVENUE, amount: 1 }] }), /unbalanced/);
+  await assert.rejects(ledger.post(deposit('deposit:p3', 0.5)), /integer minor units/);
+  assert.equal(db.entries.length, 0);
+});
+
+test('an all-zero entry is not posted', async () => {
+  const db = fakeDb.install(mock);
+  assert.equal(await ledger.post(deposit('deposit:p4', 0)), null);
+  assert.equal(db.entries.length, 0);
+});
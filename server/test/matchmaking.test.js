@@ -0,0 +1,32 @@
+// test/matchmaking.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSplit, groupEntries } = require('../services/matchmaking');
+const money = require('../lib/money');
+
+test('computeSplit takes the default 15% platform cut from the pot', () => {
+  const split = computeSplit(money.money(500, 'USD'), 4);
+  assert.deepEqual(split.pot, money.money(2000, 'USD'));
+  assert.deepEqual(split.platformCut, money.money(300, 'USD'));
+  assert.deepEqual(split.winnerPayout, money.money(1700, 'USD'));
+  assert.equal(split.rate, 0.15);
+});
+
+test('computeSplit rounds the cut to minor units and the parts add up to the pot', () => {
+  const split = computeSplit(money.money(333, 'USD'), 3);
+  assert.equal(split.pot.amount, 999);
+  assert.equal(split.platformCut.amount, 150);
+  assert.equal(split.winnerPayout.amount + split.platformCut.amount, split.pot.amount);
+});
+
+test('computeSplit applies the given fee rule', () => {
+  const split = computeSplit(money.money(1000, 'UGX'), 3, { rate: 0.1, minimum: 500, currency: 'UGX', tiers: [] });
+  assert.deepEqual(split.platformCut, money.money(500, 'UGX'));
+  assert.deepEqual(split.winnerPayout, money.money(2500, 'UGX'));
+});
+
+test('groupEntries leaves a trailing group below two entrants unmatched', () => {
+  const { groups, unmatched } = groupEntries(['a', 'b', 'c', 'd', 'e'], 2);
+  assert.deepEqual(groups, [['a', 'b'], ['c', 'd']]);
+  assert.deepEqual(unmatched, ['e']);
+});
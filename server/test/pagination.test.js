@@ -0,0 +1,36 @@
+// test/pagination.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, parseList } = require('../lib/pagination');
+
+const id = new mongoose.Types.ObjectId();
+
+test('cursors round-trip dates, numbers, strings and missing values', () => {
+  const createdAt = new Date('2026-01-02T03:04:05.678Z');
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt'), 'createdAt'), { value: createdAt, id });
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: id, rating: 1234.5 }, 'rating'), 'rating'), { value: 1234.5, id });
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: id, email: 'a@b.c' }, 'email'), 'email'), { value: 'a@b.c', id });
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: id }, 'name'), 'name'), { value: null, id });
+});
+
+test('cursors read nested sort fields', () => {
+  const cursor = encodeCursor({ _id: id, amount: { amount: 500, currency: 'USD' } }, 'amount.amount');
+  assert.deepEqual(decodeCursor(cursor, 'amount.amount'), { value: 500, id });
+});
+
+test('a cursor of another sort or a garbled one is refused', () => {
+  const cursor = encodeCursor({ _id: id, createdAt: new Date() }, 'createdAt');
+  assert.throws(() => decodeCursor(cursor, 'email'), { code: 'invalid_cursor' });
+  assert.throws(() => decodeCursor('not-a-cursor', 'createdAt'), { code: 'invalid_cursor' });
+});
+
+test('parseList reads sort, limit and cursor', () => {
+  const cursor = encodeCursor({ _id: id, email: 'a@b.c' }, 'email');
+  const list = parseList({ sort: '-email', limit: '9999', cursor }, { sorts: ['createdAt', 'email'] });
+  assert.equal(list.field, 'email');
+  assert.equal(list.dir, -1);
+  assert.equal(list.limit, 500);
+  assert.deepEqual(list.after, { value: 'a@b.c', id });
+  assert.throws(() => parseList({ sort: 'password' }, { sorts: ['createdAt'] }), { code: 'invalid_sort' });
+});
@@ -0,0 +1,90 @@
+// test/payouts.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const fakeDb = require('./helpers/fake-db');
+const Match = require('../models/Match');
+const ledger = require('../services/ledger');
+const { payoutMatch, payoutKey } = require('../services/payouts');
+
+afterEach(() => mock.restoreAll());
+
+const oid = () => new mongoose.Types.ObjectId();
+const usd = amount => ({ amount, currency: 'USD' });
+
+// A drawn two-player match of a $5 battle (15% cut) and fakes for the Match
+// calls payoutMatch makes. `claim` overrides the claim update's result.
+function setup({ claim } = {}) {
+  const db = fakeDb.install(mock);
+  const winner = { _id: oid(), user: { _id: oid() } };
+  const loser = { _id: oid(), user: { _id: oid() } };
+  const match = {
+    _id: oid(),
+    battle: { _id: oid(), entryFee: usd(500) },
+    entries: [winner, loser],
+    winnerEntry: winner._id,
+    pot: usd(1000),
+    platformCut: usd(150),
+    winnerPayout: usd(850),
+    paid: false,
+    payoutProcessed: false,
+  };
+
+  mock.method(Match, 'findById', () => fakeDb.query({ ...match }));
+  mock.method(Match, 'updateOne', async (filter, update) => {
+    if (claim) return claim;
+    if (match.paid || match.payoutProcessed) return { modifiedCount: 0 };
+    Object.assign(match, update.$set);
+    return { modifiedCount: 1 };
+  });
+  // another match of the battle is still unpaid, so it is not finished here
+  mock.method(Match, 'exists', () => fakeDb.query({ _id: oid() }));
+
+  return { db, match, winnerUser: winner.user._id };
+}
+
+test('a match is paid once; paying it again is skipped as already_paid', async () => {
+  const { db, match, winnerUser } = setup();
+
+  const first = await payoutMatch(match._id, { apply: true });
+  assert.equal(first.applied, true);
+  const again = await payoutMatch(match._id, { apply: true });
+  assert.deepEqual(again, { match: String(match._id), skipped: true, reason: 'already_paid', applied: false });
+
+  assert.equal(db.entries.filter(e => e.type === 'payout').length, 1);
+  assert.equal(db.balance(ledger.walletAccount(winnerUser), 'USD'), 850);
+  assert.equal(db.balance(ledger.PLATFORM_REVENUE, 'USD'), 150);
+  assert.equal(db.balance(ledger.escrowAccount(match.battle._id), 'USD'), -1000);
+  assert.deepEqual(db.transactions.map(t => t.idempotencyKey).sort(), [`payout:${match._id}`, `platform_fee:${match._id}`]);
+  assert.deepEqual(db.audit.map(a => a.action), ['payout.apply']);
+});
+
+test('a claim lost to a concurrent payout writes nothing', async () => {
+  const { db, match } = setup({ claim: { modifiedCount: 0 } });
+
+  const result = await payoutMatch(match._id, { apply: true });
+  assert.equal(result.reason, 'already_paid');
+  assert.equal(db.entries.length, 0);
+  assert.equal(db.transactions.length, 0);
+  assert.equal(db.audit.length, 0);
+});
+
+test('a payout already in the ledger is reported as duplicate_payout', async () => {
+  const { db, match, winnerUser } = setup();
+  db.entries.push({ _id: oid(), type: 'payout', idempotencyKey: payoutKey(match._id) });
+
+  const result = await payoutMatch(match._id, { apply: true });
+  assert.deepEqual(result, { match: String(match._id), skipped: true, reason: 'duplicate_payout', applied: false });
+  assert.equal(db.balance(ledger.walletAccount(winnerUser), 'USD'), 0);
+  assert.equal(db.transactions.length, 0);
+});
+
+test('a preview writes nothing', async () => {
+  const { db, match } = setup();
+
+  const preview = await payoutMatch(match._id);
+  assert.equal(preview.applied, false);
+  assert.deepEqual(preview.winnerPayout, usd(850));
+  assert.equal(db.entries.length, 0);
+  assert.equal(match.paid, false);
+});
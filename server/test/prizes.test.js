@@ -0,0 +1,34 @@
+// test/prizes.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const prizes = require('../services/prizes');
+const money = require('../lib/money');
+
+test('distribute floors every share and gives the remainder to 1st place', () => {
+  const amounts = prizes.distribute(money.money(1001, 'USD'), [60, 30, 10]).map(m => m.amount);
+  assert.deepEqual(amounts, [601, 300, 100]);
+});
+
+test('distribute always adds up to the prize', () => {
+  for (const amount of [0, 1, 7, 99, 1000, 123457]) {
+    const parts = prizes.distribute(money.money(amount, 'UGX'), [50, 25, 15, 10]);
+    assert.equal(parts.reduce((sum, m) => sum + m.amount, 0), amount);
+    assert.ok(parts.every(m => m.currency === 'UGX'));
+  }
+});
+
+test('winner-takes-all pays the whole prize to 1st place', () => {
+  assert.deepEqual(prizes.distribute(money.money(850, 'KES'), [100]), [money.money(850, 'KES')]);
+});
+
+test('effectiveStructure moves unreachable places to 1st place', () => {
+  assert.deepEqual(prizes.effectiveStructure([60, 30, 10], 2), [70, 30]);
+  assert.deepEqual(prizes.effectiveStructure([60, 30, 10], 3), [60, 30, 10]);
+  assert.deepEqual(prizes.effectiveStructure(null, 4), [100]);
+});
+
+test('parsePrizeStructure refuses shares not adding up to 100', () => {
+  assert.throws(() => prizes.parsePrizeStructure([60, 30], 4), { code: 'invalid_prize_structure' });
+  assert.throws(() => prizes.parsePrizeStructure([50, 30, 20], 2), { code: 'invalid_prize_structure' });
+  assert.deepEqual(prizes.parsePrizeStructure(['70', 30], 2), [70, 30]);
+});
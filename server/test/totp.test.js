@@ -0,0 +1,35 @@
+// test/totp.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// RFC 6238 appendix B (SHA1), last six digits of the eight-digit codes
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+test('generate matches the RFC 6238 test vectors', () => {
+  assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  for (const [seconds, code] of VECTORS) assert.equal(totp.generate(SECRET, seconds * 1000), code, `T=${seconds}`);
+});
+
+test('base32 round-trips', () => {
+  const buf = Buffer.from('any bytes \u0000ÿ');
+  assert.deepEqual(totp.base32Decode(totp.base32Encode(buf)), buf);
+});
+
+test('verify accepts the neighbouring steps and each step only once', () => {
+  const now = 1111111111 * 1000;
+  const step = totp.timeStep(now);
+  assert.equal(totp.verify(SECRET, '050471', { now }), step);
+  assert.equal(totp.verify(SECRET, totp.hotp(SECRET, step - 1), { now }), step - 1);
+  assert.equal(totp.verify(SECRET, totp.hotp(SECRET, step - 2), { now }), null);
+  assert.equal(totp.verify(SECRET, '050471', { now, afterStep: step }), null);
+  assert.equal(totp.verify(SECRET, 'abcdef', { now }), null);
+});
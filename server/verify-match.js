@@ -1,22 +1,34 @@
 // verify-match.js
-require('dotenv').config();
-const crypto = require('crypto');
+// Independently re-check a match draw (commit–reveal, see services/fairness.js).
+//
+// Usage (all values come from GET /matches/:id/verify):
+//   commit-reveal-v2: node verify-match.js <battleId> <seed> <seedHash> <entryId,...> <clientSeed,...> [winnerEntryId]
+//   commit-reveal-v1: node verify-match.js <matchId> <seed> <seedHash> <entryId,...> [winnerEntryId]
+// v2 draws on the battle id and the client seeds (same order as the entries).
+const { hashSeed, drawMessage, drawRanking } = require('./services/fairness');
 
-const MATCH_SECRET = process.env.MATCH_SECRET || 'my_battlehub_secret_key';
+const args = process.argv.slice(2);
+const [key, seed, seedHash, entriesArg] = args;
+if (!key || !seed || !seedHash || !entriesArg) {
+  console.error('Usage: node verify-match.js <battleId> <seed> <seedHash> <entryId,...> <clientSeed,...> [winnerEntryId]');
+  console.error('   or: node verify-match.js <matchId> <seed> <seedHash> <entryId,...> [winnerEntryId]   (commit-reveal-v1)');
+  process.exit(2);
+}
 
-// **Values taken from the match you created**
-const matchId = '690a262b46276402ca1f15a1';      // match._id from /matches
-const ts = '1762272811801';                     // timestamp part after `|` in match.seed
-const entriesLength = 2;                        // number of entries in that match (2)
+const list = arg => arg.split(',').map(s => s.trim()).filter(Boolean);
+const entryIds = list(entriesArg);
+// matches have two entrants or more, so a fifth argument with commas is the client seed list (v2)
+const clientSeeds = args[4] && args[4].includes(',') ? list(args[4]) : null;
+const winnerEntry = clientSeeds ? args[5] : args[4];
 
-const seed = crypto.createHmac('sha256', MATCH_SECRET).update(matchId + '|' + ts).digest('hex');
-const num = parseInt(seed.slice(0, 16), 16);
-const idx = num % entriesLength;
+const commitmentValid = hashSeed(seed) === seedHash;
+const ranking = drawRanking(seed, key, entryIds, entryIds.length, clientSeeds);
 
-console.log('MATCH_SECRET used (hidden length):', MATCH_SECRET ? MATCH_SECRET.length + ' chars' : 'none');
-console.log('matchId:', matchId);
-console.log('ts:', ts);
-console.log('seed:', seed);
-console.log('num (big int):', num.toString());
-console.log('chosen index (idx):', idx);
+console.log('scheme:', clientSeeds ? 'commit-reveal-v2' : 'commit-reveal-v1');
+console.log('message:', drawMessage(key, clientSeeds || entryIds));
+console.log('sha256(seed) matches seedHash:', commitmentValid);
+console.log('chosen entry:', ranking[0]);
+console.log('full ranking (1st place first):', ranking.join(','));
+if (winnerEntry) console.log('matches stored winner:', ranking[0] === winnerEntry);
 
+process.exit(commitmentValid && (!winnerEntry || ranking[0] === winnerEntry) ? 0 : 1);